@@ -0,0 +1,14 @@
+/**
+ * Génère l'empreinte d'un mot de passe pour le fichier roster
+ * Usage: npm run hash-password -- <mot de passe>
+ */
+import { AuthService } from '../src/services/authService.js';
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <mot de passe>');
+  process.exit(1);
+}
+
+console.log(AuthService.hashPassword(password));
@@ -0,0 +1,66 @@
+import authService, { ROLES } from '../services/authService.js';
+import { ApiError } from '../services/errors.js';
+
+/**
+ * Middlewares d'authentification et de contrôle d'accès
+ */
+
+/**
+ * Exige un jeton valide dans l'en-tête Authorization: Bearer <token>
+ * et place l'utilisateur dans req.user (401 AUTH_REQUIRED sinon)
+ */
+export function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  const user = scheme === 'Bearer' ? authService.verifyToken(token) : null;
+  if (!user) {
+    return next(new ApiError('AUTH_REQUIRED'));
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Restreint une route à certains rôles (à placer après authenticate)
+ * @param {...string} roles - Rôles autorisés
+ * @returns {Function} - Middleware Express (403 FORBIDDEN pour les autres rôles)
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ApiError('FORBIDDEN'));
+    }
+    next();
+  };
+}
+
+/**
+ * Indique si un utilisateur peut accéder à une session
+ * L'étudiant propriétaire a tous les droits ; un enseignant peut consulter
+ * et supprimer les sessions de ses classes, mais pas y écrire (chat, reset)
+ * @param {Object} user - Utilisateur authentifié (req.user)
+ * @param {Object} conversation - Conversation du ConversationManager
+ * @param {Object} options - { write: true } pour une action modifiant la session
+ * @returns {boolean}
+ */
+export function canAccessSession(user, conversation, { write = false } = {}) {
+  const { userId, classId } = conversation.metadata || {};
+
+  if (userId === user.id) {
+    return true;
+  }
+
+  if (user.role === ROLES.TEACHER && !write) {
+    return !!classId && user.classIds.includes(classId);
+  }
+
+  return false;
+}
+
+export default {
+  authenticate,
+  requireRole,
+  canAccessSession,
+};
@@ -0,0 +1,83 @@
+import logger from '../services/logger.js';
+import { ApiError, LOCALES } from '../services/errors.js';
+
+/**
+ * Gestion centralisée des erreurs : les routes lèvent des ApiError,
+ * ce module les convertit en réponses JSON uniformes
+ */
+
+/**
+ * Enveloppe une route asynchrone : une promesse rejetée est transmise à errorHandler
+ * (Express 4 ne le fait pas de lui-même)
+ * @param {Function} handler - async (req, res, next) => void
+ * @returns {Function} - Middleware Express
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Convertit n'importe quelle erreur levée en ApiError
+ * @param {Error} error - Erreur levée par une route ou un middleware
+ * @returns {ApiError}
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  // Erreurs de express.json (body-parser)
+  if (error?.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_JSON');
+  }
+  if (error?.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', { limit: error.limit });
+  }
+  return new ApiError('INTERNAL_ERROR');
+}
+
+/**
+ * Corps d'erreur uniforme pour une requête (langue et identifiant de corrélation)
+ * Sert aussi aux événements error du streaming
+ * @param {ApiError} error - Erreur de l'API
+ * @param {Object} req - Requête Express
+ * @returns {Object} - { success: false, error, code, status, requestId, details?, ... }
+ */
+export function errorBody(error, req) {
+  return error.toBody({
+    locale: req.acceptsLanguages(...LOCALES) || LOCALES[0],
+    requestId: req.id,
+  });
+}
+
+/**
+ * Route inconnue : 404 JSON (à placer après toutes les routes)
+ */
+export function notFound(req, res, next) {
+  next(new ApiError('ROUTE_NOT_FOUND', { path: req.path }));
+}
+
+/**
+ * Dernier middleware : journalise et répond avec le corps d'erreur uniforme
+ * Une réponse déjà commencée (streaming, export) est terminée proprement
+ * Les quatre paramètres sont nécessaires pour qu'Express le reconnaisse comme gestionnaire d'erreurs
+ */
+export function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+
+  if (error.status >= 500) {
+    logger.error('Erreur de traitement', { route: req.route?.path, code: error.code, error: err });
+  }
+  res.locals.errorCode = error.code;
+
+  if (res.headersSent) {
+    if (res.get('Content-Type')?.startsWith('text/event-stream')) {
+      res.write(`event: error\ndata: ${JSON.stringify(errorBody(error, req))}\n\n`);
+    }
+    return res.end();
+  }
+
+  res.set(error.headers);
+  res.status(error.status).json(errorBody(error, req));
+}
+
+export default errorHandler;
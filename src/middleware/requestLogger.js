@@ -0,0 +1,67 @@
+import { randomUUID } from 'crypto';
+import logger, { runWithContext } from '../services/logger.js';
+import { httpRequests, httpDuration, errors } from '../services/metrics.js';
+
+/**
+ * Identifiant de corrélation, journal d'accès et métriques HTTP
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Un identifiant fourni par le client (ou un proxy) est repris s'il est raisonnable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Routes de supervision : journalisées en debug pour ne pas noyer les logs
+const QUIET_PATHS = ['/health', '/metrics'];
+
+/**
+ * Route Express correspondant à la requête, sans les paramètres (évite une étiquette par session)
+ * @param {Object} req - Requête Express
+ * @returns {string}
+ */
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Attribue un identifiant à chaque requête (renvoyé dans X-Request-Id), l'associe
+ * aux logs émis pendant son traitement et journalise la réponse avec sa durée
+ * Ni le corps de la requête ni celui de la réponse ne sont journalisés
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeOf(req);
+    const status = res.statusCode;
+    // Code stable posé par errorHandler (aussi pour une erreur envoyée dans un flux déjà ouvert)
+    const errorCode = res.locals.errorCode;
+
+    httpRequests.inc({ method: req.method, route, status });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    if (status >= 400 || errorCode) {
+      errors.inc({ source: 'http', code: errorCode || status });
+    }
+
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+    runWithContext({ requestId }, () => logger.log(level, 'requête', {
+      method: req.method,
+      route,
+      path: req.path,
+      status,
+      ...(errorCode && { code: errorCode }),
+      durationMs: Math.round(seconds * 1000),
+      ...(req.user && { userId: req.user.id, role: req.user.role }),
+    }));
+  });
+
+  runWithContext({ requestId }, next);
+}
+
+export default requestLogger;
@@ -0,0 +1,37 @@
+import { validateFields } from '../services/validation.js';
+import { ApiError } from '../services/errors.js';
+import { asyncHandler } from './errorHandler.js';
+
+/**
+ * Valide les paramètres de chemin, la query string et le corps d'une requête
+ * selon un schéma de route (voir services/requestSchemas)
+ * Chaque partie est un schéma de champs pour validateFields, ou une fonction
+ * (valeur, req) => erreurs, éventuellement asynchrone, pour les règles qui en dépendent
+ * @param {Object} schema - { params?, query?, body? }
+ * @returns {Function} - Middleware Express (400 VALIDATION_FAILED avec la liste des erreurs)
+ */
+export function validateRequest(schema) {
+  return asyncHandler(async (req, res, next) => {
+    const details = [];
+
+    for (const part of ['params', 'query', 'body']) {
+      const rule = schema[part];
+      if (!rule) {
+        continue;
+      }
+
+      const errors = typeof rule === 'function'
+        ? await rule(req[part] ?? {}, req)
+        : validateFields(rule, req[part] ?? {});
+      // Les erreurs du corps gardent la forme historique (sans préfixe)
+      details.push(...errors.map(error => (part === 'body' ? error : `${part} : ${error}`)));
+    }
+
+    if (details.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', { details });
+    }
+    next();
+  });
+}
+
+export default validateRequest;
@@ -1,7 +1,39 @@
+import { inspectTemplate, renderTemplate } from './templateEngine.js';
+
 /**
  * Templates de prompts pour le bot TP
  */
 
+/**
+ * Fragments partagés, inclus dans les prompts avec {{> nom}}
+ */
+export const PROMPT_FRAGMENTS = {
+  /**
+   * Réaction quand l'étudiant réclame la réponse, et exception pour la documentation
+   */
+  piqueHumoristique: `Si ils te demandent la réponse, commence par une pique humoristique (pas 
+méchante, mais tu peux te moquer gentiment), puis enchaîne en les incitant à réfléchir d'eux-mêmes.
+Par contre, si ils te demandent de la doc - l'intitulé d'une focntion ou des rensiegnements
+sur une fonction ou la manière de l'appeler, tu dois la leur donner !`,
+
+  /**
+   * Contexte du TP de la session
+   */
+  contexteTp: `Sujet du TP : {{tpSubject}}
+
+Objectifs pédagogiques : {{tpObjectives}}
+
+Niveau de l'étudiant : {{studentLevel}}
+{{#if constraints}}
+Contraintes particulières : {{constraints}}
+{{/if}}
+{{#if exercises}}
+Exercices du TP :
+{{#each exercises}}- {{this}}
+{{/each}}
+{{/if}}`,
+};
+
 export const SYSTEM_PROMPTS = {
   /**
    * Prompt système général pour le bot assistant TP
@@ -22,10 +54,9 @@ Tu NE dois PAS :
 
 Ton ton doit être encourageant, patient et bienveillant.
 
-Si ils te demandent la réponse, commence par une pique humoristique (pas 
-méchante, mais tu peux te moquer gentiment), puis enchaîne en les incitant à réfléchir d'eux-mêmes.
-Par contre, si ils te demandent de la doc - l'intitulé d'une focntion ou des rensiegnements
-sur une fonction ou la manière de l'appeler, tu dois la leur donner !`,
+{{> piqueHumoristique}}
+
+{{> contexteTp}}`,
 
   /**
    * Prompt pour un assistant spécialisé en programmation
@@ -39,10 +70,9 @@ Quand un étudiant pose une question :
 4. Propose des ressources pour approfondir
 
 Adapte ton niveau d'explication selon la complexité de la question.
-Si ils te demandent la réponse, commence par une pique humoristique (pas 
-méchante, mais tu peux te moquer gentiment), puis enchaîne en les incitant à réfléchir d'eux-mêmes.
-Par contre, si ils te demandent de la doc - l'intitulé d'une focntion ou des rensiegnements
-sur une fonction ou la manière de l'appeler, tu dois la leur donner !`,
+{{> piqueHumoristique}}
+
+{{> contexteTp}}`,
 
   /**
    * Prompt pour débogage
@@ -56,10 +86,46 @@ Méthode :
 4. Guide-le vers la compréhension de l'erreur
 
 Ne corrige pas directement le code, mais aide l'étudiant à comprendre pourquoi ça ne fonctionne pas.
-Si ils te demandent la réponse, commence par une pique humoristique (pas 
-méchante, mais tu peux te moquer gentiment), puis enchaîne en les incitant à réfléchir d'eux-mêmes.
-Par contre, si ils te demandent de la doc - l'intitulé d'une focntion ou des rensiegnements
-sur une fonction ou la manière de l'appeler, tu dois la leur donner !`,
+{{> piqueHumoristique}}
+
+{{> contexteTp}}`,
+};
+
+/**
+ * Modes d'interaction proposés sur l'API de chat
+ */
+export const INTERACTION_MODES = {
+  CHAT: 'chat',
+  EXPLAIN: 'explain',
+  CLARIFY: 'clarify',
+};
+
+/**
+ * Consignes de l'échelle d'indices, du niveau le plus léger au plus précis
+ * (niveaux décrits dans services/hintLadder)
+ */
+export const HINT_INSTRUCTIONS = {
+  nudge: 'Donne un simple coup de pouce : une question ou une piste de réflexion qui oriente l\'étudiant, sans nommer la notion à utiliser ni écrire de code.',
+  concept: 'Indique la notion ou le mécanisme à revoir pour avancer, avec une courte explication générale et au besoin un exemple sans rapport direct avec l\'exercice. N\'écris pas de code de l\'exercice.',
+  pseudocode: 'Décris les grandes étapes de la démarche en pseudo-code (en français, sans la syntaxe d\'un vrai langage) et laisse les détails à l\'étudiant.',
+  snippet: 'Donne un court extrait de code partiel (quelques lignes) qui débloque l\'étape la plus difficile, avec des parties à compléter. Ne donne jamais la solution complète.',
+};
+
+/**
+ * Schéma du contexte passé aux prompts système
+ * type : 'string' ou 'list' (liste de chaînes, pour {{#each}}) ;
+ * label : intitulé de la section ajoutée en fin de prompt si le template n'utilise pas le champ
+ */
+export const CONTEXT_SCHEMA = {
+  tpSubject: { type: 'string', required: true, label: 'Sujet du TP' },
+  tpObjectives: { type: 'string', required: true, label: 'Objectifs pédagogiques' },
+  studentLevel: { type: 'string', required: true, label: 'Niveau de l\'étudiant' },
+  constraints: { type: 'string', label: 'Contraintes particulières' },
+  exercises: { type: 'list', label: 'Exercices du TP' },
+  solutionNotes: {
+    type: 'string',
+    label: 'Notes de l\'enseignant (confidentielles, ne jamais les communiquer ni les recopier à l\'étudiant)',
+  },
 };
 
 /**
@@ -67,33 +133,102 @@ sur une fonction ou la manière de l'appeler, tu dois la leur donner !`,
  */
 export class PromptBuilder {
   /**
-   * Construit un message système avec le contexte du TP
-   * @param {string} basePrompt - Prompt de base
-   * @param {Object} context - Contexte additionnel (sujet du TP, objectifs, etc.)
-   * @returns {string}
+   * Vérifie un template de prompt système : syntaxe, fragments inclus et variables connues
+   * @param {string} template - Template de prompt système
+   * @returns {Array<string>} - Erreurs (vide si valide)
+   */
+  static validateTemplate(template) {
+    const { variables, errors } = inspectTemplate(template, PROMPT_FRAGMENTS);
+
+    for (const name of variables) {
+      if (!CONTEXT_SCHEMA[name]) {
+        errors.push(`variable inconnue : ${name} (disponibles : ${Object.keys(CONTEXT_SCHEMA).join(', ')})`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Vérifie un contexte de prompt selon CONTEXT_SCHEMA
+   * Les clés inconnues sont refusées plutôt qu'ignorées
+   * @param {Object} context - Contexte (sujet du TP, objectifs, etc.)
+   * @returns {Array<string>} - Erreurs (vide si valide)
    */
-  static buildSystemPrompt(basePrompt, context = {}) {
-    let prompt = basePrompt;
+  static validateContext(context) {
+    const errors = [];
 
-    if (context.tpSubject) {
-      prompt += `\n\nSujet du TP : ${context.tpSubject}`;
+    for (const key of Object.keys(context)) {
+      if (!CONTEXT_SCHEMA[key]) {
+        errors.push(`Clé de contexte inconnue : ${key}`);
+      }
     }
 
-    if (context.tpObjectives) {
-      prompt += `\n\nObjectifs pédagogiques : ${context.tpObjectives}`;
+    for (const [key, rule] of Object.entries(CONTEXT_SCHEMA)) {
+      const value = context[key];
+
+      if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        if (rule.required) {
+          errors.push(`Champ de contexte requis : ${key}`);
+        }
+        continue;
+      }
+
+      const valid = rule.type === 'list'
+        ? Array.isArray(value) && value.every(item => typeof item === 'string')
+        : typeof value === 'string';
+      if (!valid) {
+        errors.push(`${key} doit être ${rule.type === 'list' ? 'une liste de chaînes' : 'une chaîne'}`);
+      }
     }
 
-    if (context.studentLevel) {
-      prompt += `\n\nNiveau de l'étudiant : ${context.studentLevel}`;
+    return errors;
+  }
+
+  /**
+   * Construit un message système à partir d'un template et du contexte du TP
+   * Les champs du contexte que le template n'utilise pas sont ajoutés à la fin
+   * @param {string} template - Template de prompt ({{variables}}, {{#if}}, {{#each}}, {{> fragment}})
+   * @param {Object} context - Contexte validé (voir CONTEXT_SCHEMA)
+   * @returns {string}
+   */
+  static buildSystemPrompt(template, context = {}) {
+    const errors = [...PromptBuilder.validateTemplate(template), ...PromptBuilder.validateContext(context)];
+    if (errors.length > 0) {
+      throw new Error(`Prompt système invalide : ${errors.join(' ; ')}`);
     }
 
-    if (context.constraints) {
-      prompt += `\n\nContraintes particulières : ${context.constraints}`;
+    const { variables } = inspectTemplate(template, PROMPT_FRAGMENTS);
+    let prompt = renderTemplate(template, context, PROMPT_FRAGMENTS);
+
+    for (const [key, { type, label }] of Object.entries(CONTEXT_SCHEMA)) {
+      const value = context[key];
+      if (!variables.has(key) && value && value.length > 0) {
+        prompt += `\n\n${label} : ${type === 'list' ? value.join(', ') : value}`;
+      }
     }
 
     return prompt;
   }
 
+  /**
+   * Construit le message envoyé au modèle selon le mode d'interaction
+   * @param {string} mode - Mode (chat, explain, clarify)
+   * @param {string} message - Message de l'étudiant
+   * @param {Object} options - { level } pour le mode explain
+   * @returns {string}
+   */
+  static buildUserPrompt(mode, message, { level } = {}) {
+    switch (mode) {
+      case INTERACTION_MODES.EXPLAIN:
+        return PromptBuilder.buildConceptExplanationPrompt(message, level);
+      case INTERACTION_MODES.CLARIFY:
+        return PromptBuilder.buildClarificationPrompt(message);
+      default:
+        return message;
+    }
+  }
+
   /**
    * Construit un prompt pour demander une clarification
    * @param {string} userQuestion - Question de l'étudiant
@@ -105,11 +240,91 @@ export class PromptBuilder {
 
   /**
    * Construit un prompt pour l'évaluation de code
-   * @param {string} code - Code de l'étudiant
+   * @param {string|Array} code - Code de l'étudiant, ou liste de fichiers [{name, language, content}]
+   * @param {Object} options - { json: true } pour demander une réponse JSON structurée
+   * @returns {string}
+   */
+  static buildCodeReviewPrompt(code, { json = false } = {}) {
+    const files = Array.isArray(code)
+      ? code.map(f => `Fichier ${f.name} :\n\n\`\`\`${f.language || ''}\n${f.content}\n\`\`\``).join('\n\n')
+      : `\`\`\`\n${code}\n\`\`\``;
+
+    if (json) {
+      return `Analyse ce code soumis par un étudiant et donne un retour constructif :\n\n${files}\n\nRéponds uniquement avec un objet JSON de la forme :\n{"positives": [string], "improvements": [string], "questions": [string], "resources": [string]}\n\n- positives : les points positifs\n- improvements : les axes d'amélioration\n- questions : des questions pour le faire réfléchir\n- resources : des suggestions de ressources\n\nN'écris pas le code corrigé complet, au plus de courts extraits illustratifs.`;
+    }
+
+    return `Analyse ce code soumis par un étudiant et donne un retour constructif :\n\n${files}\n\nFournis :\n1. Les points positifs\n2. Les axes d'amélioration\n3. Des questions pour le faire réfléchir\n4. Des suggestions de ressources\n\nN'écris pas le code corrigé complet.`;
+  }
+
+  /**
+   * Construit un prompt de demande d'indice pour un exercice
+   * @param {Object} exercise - Exercice du TP { id, title, statement? }
+   * @param {Object} hintLevel - Niveau demandé { level, name, label }
+   * @param {number} maxLevel - Nombre de niveaux de l'échelle
+   * @param {string} question - Question ou tentative de l'étudiant (facultative)
    * @returns {string}
    */
-  static buildCodeReviewPrompt(code) {
-    return `Analyse ce code soumis par un étudiant et donne un retour constructif :\n\n\`\`\`\n${code}\n\`\`\`\n\nFournis :\n1. Les points positifs\n2. Les axes d'amélioration\n3. Des questions pour le faire réfléchir\n4. Des suggestions de ressources\n\nN'écris pas le code corrigé complet.`;
+  static buildHintPrompt(exercise, hintLevel, maxLevel, question = '') {
+    const statement = exercise.statement ? `\n\nÉnoncé :\n${exercise.statement}` : '';
+    const asked = question ? `\n\nQuestion de l'étudiant : "${question}"` : '';
+
+    return `L'étudiant demande un indice de niveau ${hintLevel.level}/${maxLevel} (${hintLevel.label.toLowerCase()}) pour l'exercice « ${exercise.title} ».${statement}${asked}\n\nConsigne : ${HINT_INSTRUCTIONS[hintLevel.name]} Appuie-toi sur les indices déjà donnés dans la conversation sans les répéter.`;
+  }
+
+  /**
+   * Construit le compte rendu d'une vérification automatique, enregistré dans la conversation
+   * Les valeurs des tests cachés n'y figurent jamais
+   * @param {Object} exercise - Exercice du TP { title, language?, entry }
+   * @param {string} code - Code soumis
+   * @param {Object} grading - Résultat de gradeResults { passed, total, results }
+   * @returns {string}
+   */
+  static buildCheckReport(exercise, code, grading) {
+    const failures = grading.results
+      .filter(r => !r.passed)
+      .map((r) => {
+        if (r.hidden) {
+          return `- Test caché « ${r.name} » : échec`;
+        }
+        const outcome = r.error ? `erreur : ${r.error}` : `obtenu ${JSON.stringify(r.actual)}`;
+        return `- « ${r.name} » : ${exercise.entry}(${JSON.stringify(r.args || []).slice(1, -1)}) devait renvoyer ${JSON.stringify(r.expected)}, ${outcome}`;
+      });
+    const details = failures.length > 0 ? `\n\nTests échoués :\n${failures.join('\n')}` : '';
+
+    return `Vérification de l'exercice « ${exercise.title} » : ${grading.passed}/${grading.total} tests réussis.\n\n\`\`\`${exercise.language || 'javascript'}\n${code}\n\`\`\`${details}`;
+  }
+
+  /**
+   * Construit un prompt pour commenter les tests échoués d'une vérification
+   * @param {string} report - Compte rendu (voir buildCheckReport)
+   * @returns {string}
+   */
+  static buildCheckFeedbackPrompt(report) {
+    return `${report}\n\nConsigne : aide l'étudiant à comprendre pourquoi ces tests échouent. Pointe la partie du code concernée et pose une question ou donne une piste qui l'amène à trouver l'erreur lui-même. Ne donne ni le code corrigé ni la solution, et ne cherche pas à deviner le contenu des tests cachés.`;
+  }
+
+  /**
+   * Consigne ajoutée lorsqu'une réponse a été bloquée par le garde-fou anti-solution
+   * @param {number} maxCodeLines - Nombre maximal de lignes de code par extrait
+   * @returns {string}
+   */
+  static buildStrictGuardInstruction(maxCodeLines) {
+    return `Ta réponse précédente donnait trop directement la solution. Reformule-la en respectant strictement ces règles : aucun extrait de code de plus de ${maxCodeLines} lignes, pas de code reprenant la solution attendue du TP. Guide l'étudiant avec des explications, des questions et au plus de courts exemples génériques.`;
+  }
+
+  /**
+   * Construit un prompt pour résumer les échanges sortis de la fenêtre de contexte
+   * @param {string} previousSummary - Résumé existant (peut être vide)
+   * @param {Array} messages - Messages à intégrer au résumé [{role, content}]
+   * @returns {string}
+   */
+  static buildSummaryPrompt(previousSummary, messages) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'Étudiant' : 'Assistant'} : ${m.content}`)
+      .join('\n\n');
+    const previous = previousSummary ? `Résumé existant :\n${previousSummary}\n\n` : '';
+
+    return `${previous}Nouveaux échanges :\n${transcript}\n\nMets à jour le résumé de cette conversation de TP en quelques phrases : ce sur quoi l'étudiant travaille, où il en est, les difficultés rencontrées et les pistes déjà données. Ne recopie pas de code complet.`;
   }
 
   /**
@@ -125,5 +340,9 @@ export class PromptBuilder {
 
 export default {
   SYSTEM_PROMPTS,
+  INTERACTION_MODES,
+  PROMPT_FRAGMENTS,
+  CONTEXT_SCHEMA,
+  HINT_INSTRUCTIONS,
   PromptBuilder,
 };
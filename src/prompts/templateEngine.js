@@ -0,0 +1,179 @@
+/**
+ * Moteur de templates minimal pour les prompts système
+ *
+ * Syntaxe :
+ * - {{variable}}                         valeur du contexte
+ * - {{#if variable}}...{{else}}...{{/if}}   section conditionnelle
+ * - {{#each liste}}- {{this}}{{/each}}      répétition sur une liste
+ * - {{> fragment}}                        inclusion d'un fragment partagé
+ */
+
+const TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^\w+$/;
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Découpe un template en arbre de nœuds
+ * @param {string} template - Texte du template
+ * @returns {Object} - { nodes, errors }
+ */
+export function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  let current = root.children;
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+    const [keyword, name, ...rest] = tag.split(/\s+/);
+    const block = stack[stack.length - 1];
+
+    if (keyword === '#if' || keyword === '#each') {
+      if (!name || !NAME_PATTERN.test(name) || rest.length > 0) {
+        errors.push(`balise invalide : {{${tag}}}`);
+        continue;
+      }
+      const node = { type: keyword.slice(1), name, children: [], alternate: [] };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (keyword === 'else' && !name) {
+      if (block.type !== 'if' || current === block.alternate) {
+        errors.push('{{else}} hors d\'une section {{#if}}');
+        continue;
+      }
+      current = block.alternate;
+    } else if (keyword === '/if' || keyword === '/each') {
+      if (block.type !== keyword.slice(1)) {
+        errors.push(`{{${keyword}}} sans {{#${keyword.slice(1)}}} correspondant`);
+        continue;
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'if' && parent.alternate.includes(block) ? parent.alternate : parent.children;
+    } else if (keyword === '>') {
+      if (!name || !NAME_PATTERN.test(name) || rest.length > 0) {
+        errors.push(`balise invalide : {{${tag}}}`);
+        continue;
+      }
+      current.push({ type: 'include', name });
+    } else if (NAME_PATTERN.test(tag)) {
+      current.push({ type: 'var', name: tag });
+    } else {
+      errors.push(`balise invalide : {{${tag}}}`);
+    }
+  }
+
+  if (lastIndex < template.length) {
+    current.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  for (const block of stack.slice(1)) {
+    errors.push(`section {{#${block.type} ${block.name}}} non fermée`);
+  }
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Parcourt un template et ses fragments inclus
+ * @param {string} template - Texte du template
+ * @param {Object} fragments - Fragments disponibles { nom: texte }
+ * @returns {Object} - { variables: Set, includes: Set, errors }
+ */
+export function inspectTemplate(template, fragments = {}) {
+  const variables = new Set();
+  const includes = new Set();
+  const errors = [];
+
+  const visit = (text, depth, source) => {
+    const { nodes, errors: syntaxErrors } = parseTemplate(text);
+    errors.push(...syntaxErrors.map(error => (source ? `fragment ${source} : ${error}` : error)));
+
+    const walk = (list, scope) => {
+      for (const node of list) {
+        if (node.type === 'var' && !(node.name === 'this' && scope.inEach)) {
+          variables.add(node.name);
+        } else if (node.type === 'if' || node.type === 'each') {
+          variables.add(node.name);
+          walk(node.children, node.type === 'each' ? { inEach: true } : scope);
+          walk(node.alternate, scope);
+        } else if (node.type === 'include') {
+          if (fragments[node.name] === undefined) {
+            errors.push(`fragment inconnu : {{> ${node.name}}}`);
+          } else if (depth >= MAX_INCLUDE_DEPTH) {
+            errors.push(`inclusions trop profondes : {{> ${node.name}}}`);
+          } else if (!includes.has(node.name)) {
+            includes.add(node.name);
+            visit(fragments[node.name], depth + 1, node.name);
+          }
+        }
+      }
+    };
+
+    walk(nodes, { inEach: false });
+  };
+
+  visit(template, 0, null);
+  return { variables, includes, errors };
+}
+
+/**
+ * Indique si une valeur du contexte active une section conditionnelle
+ * @param {*} value - Valeur
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Produit le texte d'un template à partir d'un contexte
+ * Le template doit avoir été vérifié avec inspectTemplate
+ * @param {string} template - Texte du template
+ * @param {Object} context - Valeurs des variables
+ * @param {Object} fragments - Fragments disponibles { nom: texte }
+ * @returns {string}
+ */
+export function renderTemplate(template, context = {}, fragments = {}) {
+  const render = (text, scope, depth) => {
+    const { nodes, errors } = parseTemplate(text);
+    if (errors.length > 0) {
+      throw new Error(`Template invalide : ${errors.join(' ; ')}`);
+    }
+    return renderNodes(nodes, scope, depth);
+  };
+
+  const renderNodes = (nodes, scope, depth) => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return scope[node.name] ?? '';
+      case 'if':
+        return renderNodes(isTruthy(scope[node.name]) ? node.children : node.alternate, scope, depth);
+      case 'each':
+        return (Array.isArray(scope[node.name]) ? scope[node.name] : [])
+          .map(item => renderNodes(node.children, { ...scope, this: item }, depth))
+          .join('');
+      case 'include':
+        if (fragments[node.name] === undefined || depth >= MAX_INCLUDE_DEPTH) {
+          throw new Error(`Fragment introuvable ou trop imbriqué : ${node.name}`);
+        }
+        return render(fragments[node.name], scope, depth + 1);
+      default:
+        return '';
+    }
+  }).join('');
+
+  return render(template, context, 0)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
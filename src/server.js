@@ -1,30 +1,54 @@
 import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { once } from 'events';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import openaiService from './services/openaiService.js';
-import conversationManager from './services/conversationManager.js';
-import { SYSTEM_PROMPTS, PromptBuilder } from './prompts/promptTemplates.js';
+import conversationManager, { ConversationManager } from './services/conversationManager.js';
+import promptProfiles, { PromptProfiles } from './services/promptProfiles.js';
+import tpCatalog, { TpCatalog } from './services/tpCatalog.js';
+import authService, { ROLES } from './services/authService.js';
+import usageTracker from './services/usageTracker.js';
+import { validateSubmission, parseFeedback, feedbackToMarkdown, FEEDBACK_FORMAT } from './services/codeReview.js';
+import { summarizeSession, computeAnalytics } from './services/analytics.js';
+import { moderateMessage, moderateTexts } from './services/inputModeration.js';
+import { validateOptions, resolvePolicy, applyPolicy } from './services/modelPolicy.js';
+import { ATTACHMENT_LIMITS, parseAttachments, describeAttachment } from './services/attachments.js';
+import { HINT_LEVELS, nextHintLevel, describeHintLevel } from './services/hintLadder.js';
+import { gradeResults, toPublicResults, describeGrading } from './services/exercises.js';
+import { SANDBOX_LIMITS, runSandbox } from './services/sandbox/index.js';
+import { guardResponse, checkResponse, redact } from './services/solutionGuard.js';
+import { describeLifecycle } from './services/sessionLifecycle.js';
+import { EXPORT_FORMATS, exportConversation, csvHeader, toCsvRows, toJson } from './services/transcriptExport.js';
+import { ApiError, ERRORS } from './services/errors.js';
+import SCHEMAS from './services/requestSchemas.js';
+import { authenticate, requireRole, canAccessSession } from './middleware/auth.js';
+import { requestLogger, REQUEST_ID_HEADER } from './middleware/requestLogger.js';
+import { validateRequest } from './middleware/validateRequest.js';
+import { asyncHandler, notFound, errorHandler } from './middleware/errorHandler.js';
+import logger from './services/logger.js';
+import metrics from './services/metrics.js';
+import { INTERACTION_MODES, PromptBuilder } from './prompts/promptTemplates.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Identifiant de requête, journal d'accès et métriques (avant tout autre middleware)
+app.use(requestLogger);
+
 // Middleware CORS - Configuration étendue pour Vercel
 app.use(cors({
   origin: ['https://ghinc.github.io/bot_tp_front', 'https://ghinc.github.io', 'http://localhost:8080', 'http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Language', REQUEST_ID_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER],
   optionsSuccessStatus: 200
 }));
-app.use(express.json());
-
-// Middleware de logging
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
-});
+// Les pièces jointes (base64) font dépasser la limite par défaut de 100 ko
+app.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '10mb' }));
 
 /**
  * Route de santé pour vérifier que l'API fonctionne
@@ -34,310 +58,1563 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     openaiConfigured: openaiService.isConfigured(),
+    llm: openaiService.describe(),
+    authConfigured: authService.isConfigured(),
   });
 });
 
 /**
- * Crée une nouvelle session de conversation
- * POST /api/sessions
- * Body: { promptType?: string, context?: object }
+ * Vérifie l'en-tête Authorization: Bearer <secret> d'une route technique (comparaison à temps constant)
+ * @param {Object} req - Requête Express
+ * @param {string} expected - Secret attendu
+ * @returns {boolean}
  */
-app.post('/api/sessions', (req, res) => {
-  try {
-    const { promptType = 'TP_ASSISTANT', context = {} } = req.body;
+function hasBearer(req, expected) {
+  const provided = Buffer.from((req.get('Authorization') || '').replace(/^Bearer /, ''));
+  const secret = Buffer.from(expected);
+  return provided.length === secret.length && timingSafeEqual(provided, secret);
+}
 
-    // Génère un ID de session unique
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+/**
+ * Métriques au format Prometheus
+ * Si METRICS_TOKEN est défini, l'en-tête Authorization: Bearer <METRICS_TOKEN> est exigé
+ * GET /metrics
+ */
+app.get('/metrics', (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (expected && !hasBearer(req, expected)) {
+    return next(new ApiError('AUTH_REQUIRED'));
+  }
 
-    // Sélectionne le prompt système approprié
-    const basePrompt = SYSTEM_PROMPTS[promptType] || SYSTEM_PROMPTS.TP_ASSISTANT;
-    const systemPrompt = PromptBuilder.buildSystemPrompt(basePrompt, context);
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-    // Crée la conversation
-    const conversation = conversationManager.createConversation(sessionId, systemPrompt);
+/**
+ * Applique le cycle de vie à toutes les sessions (archivage et purge)
+ * Appelée par un cron (Vercel Cron ou planificateur externe) avec Authorization: Bearer <CRON_SECRET> ;
+ * désactivée si CRON_SECRET n'est pas défini
+ * GET /api/cron/sessions
+ */
+app.get('/api/cron/sessions', validateRequest(SCHEMAS.cronSessions), asyncHandler(async (req, res) => {
+  const expected = process.env.CRON_SECRET;
+  if (!expected) {
+    throw new ApiError('CRON_NOT_CONFIGURED');
+  }
+  if (!hasBearer(req, expected)) {
+    throw new ApiError('AUTH_REQUIRED');
+  }
 
-    // Met à jour les métadonnées
-    conversationManager.updateMetadata(sessionId, {
-      promptType,
-      context,
-    });
+  const counts = await conversationManager.sweep();
+  logger.info('Cycle de vie des sessions appliqué', counts);
 
-    res.status(201).json({
-      success: true,
-      sessionId,
-      message: 'Session créée avec succès',
-      createdAt: conversation.createdAt,
-    });
-  } catch (error) {
-    console.error('Erreur création session:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors de la création de la session',
-    });
+  res.json({
+    success: true,
+    ...counts,
+  });
+}));
+
+/**
+ * Authentifie un utilisateur du roster et lui délivre un jeton
+ * POST /api/auth/login
+ * Body: { username: string, password: string }
+ */
+app.post('/api/auth/login', validateRequest(SCHEMAS.login), asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!authService.isConfigured()) {
+    throw new ApiError('AUTH_NOT_CONFIGURED');
+  }
+
+  const user = await authService.authenticate(username, password);
+  if (!user) {
+    throw new ApiError('INVALID_CREDENTIALS');
   }
+
+  const { token, expiresAt } = authService.issueToken(user);
+
+  res.json({
+    success: true,
+    token,
+    expiresAt,
+    user: authService.verifyToken(token),
+  });
+}));
+
+// Toutes les autres routes /api exigent un jeton valide
+app.use('/api', authenticate);
+
+/**
+ * Retourne l'utilisateur authentifié
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', validateRequest(SCHEMAS.me), (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
 });
 
 /**
- * Envoie un message et reçoit une réponse
- * POST /api/chat
- * Body: { sessionId: string, message: string, options?: object }
+ * Liste les TP du catalogue
+ * GET /api/tps
  */
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { sessionId, message, options = {} } = req.body;
+app.get('/api/tps', validateRequest(SCHEMAS.listTps), asyncHandler(async (req, res) => {
+  const tps = await tpCatalog.list();
 
-    // Validation
-    if (!sessionId || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'sessionId et message sont requis',
-      });
-    }
+  // Les notes de solution ne sont visibles que des enseignants
+  res.json({
+    success: true,
+    tps: req.user.role === ROLES.TEACHER ? tps : tps.map(TpCatalog.toPublic),
+  });
+}));
 
-    // Vérifie que la session existe
-    const conversation = conversationManager.getConversation(sessionId);
-    if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session non trouvée',
-      });
-    }
+/**
+ * Crée un TP dans le catalogue
+ * POST /api/tps
+ * Body: { subject, objectives, level, constraints?, promptType?, solutionNotes? }
+ */
+app.post('/api/tps', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.createTp), asyncHandler(async (req, res) => {
+  const tp = await tpCatalog.create(req.body);
 
-    // Vérifie la configuration OpenAI
-    if (!openaiService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        error: 'Service OpenAI non configuré - vérifiez la clé API',
-      });
-    }
+  res.status(201).json({
+    success: true,
+    tp,
+  });
+}));
+
+/**
+ * Récupère un TP (avec l'historique de ses versions pour les enseignants)
+ * GET /api/tps/:tpId
+ */
+app.get('/api/tps/:tpId', validateRequest(SCHEMAS.getTp), asyncHandler(async (req, res) => {
+  const tp = await tpCatalog.get(req.params.tpId);
+  if (!tp) {
+    throw new ApiError('TP_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    tp: req.user.role === ROLES.TEACHER ? tp : TpCatalog.toPublic(tp),
+  });
+}));
 
-    // Ajoute le message utilisateur à l'historique
-    conversationManager.addMessage(sessionId, 'user', message);
+/**
+ * Met à jour un TP (crée une nouvelle version)
+ * PUT /api/tps/:tpId
+ * Body: champs à modifier
+ */
+app.put('/api/tps/:tpId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.updateTp), asyncHandler(async (req, res) => {
+  const tp = await tpCatalog.update(req.params.tpId, req.body);
+  if (!tp) {
+    throw new ApiError('TP_NOT_FOUND');
+  }
 
-    // Récupère l'historique complet
-    const messages = conversationManager.getMessages(sessionId);
+  res.json({
+    success: true,
+    tp,
+  });
+}));
 
-    // Appelle l'API OpenAI
-    const response = await openaiService.chat(messages, options);
+/**
+ * Supprime un TP du catalogue
+ * DELETE /api/tps/:tpId
+ */
+app.delete('/api/tps/:tpId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.deleteTp), asyncHandler(async (req, res) => {
+  const success = await tpCatalog.delete(req.params.tpId);
+  if (!success) {
+    throw new ApiError('TP_NOT_FOUND');
+  }
 
-    if (!response.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Erreur lors de la communication avec OpenAI',
-        details: response.error,
-      });
-    }
+  res.json({
+    success: true,
+    message: 'TP supprimé',
+  });
+}));
 
-    // Ajoute la réponse à l'historique
-    conversationManager.addMessage(sessionId, 'assistant', response.message);
+/**
+ * Crée une nouvelle session de conversation à partir d'un TP du catalogue
+ * La session est rattachée à l'utilisateur authentifié et à sa classe
+ * POST /api/sessions
+ * Body: { tpId: string }
+ */
+app.post('/api/sessions', validateRequest(SCHEMAS.createSession), asyncHandler(async (req, res) => {
+  const tp = await tpCatalog.get(req.body.tpId);
+  if (!tp) {
+    throw new ApiError('TP_NOT_FOUND');
+  }
 
-    res.json({
-      success: true,
-      response: response.message,
-      usage: response.usage,
-      model: response.model,
-    });
-  } catch (error) {
-    console.error('Erreur chat:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors du traitement du message',
-    });
+  // Le prompt système vient du profil choisi par le TP
+  const promptType = tp.promptType;
+  const profile = await promptProfiles.get(promptType);
+  if (!profile) {
+    throw new ApiError('UNKNOWN_PROMPT_TYPE', { params: { promptType } });
   }
-});
+
+  // Génère un ID de session unique
+  const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const context = TpCatalog.toContext(tp);
+  const promptErrors = [
+    ...PromptBuilder.validateTemplate(profile.systemPrompt),
+    ...PromptBuilder.validateContext(context),
+  ];
+  if (promptErrors.length > 0) {
+    throw new ApiError('PROMPT_BUILD_FAILED', { details: promptErrors });
+  }
+  const systemPrompt = PromptBuilder.buildSystemPrompt(profile.systemPrompt, context);
+
+  // Crée la conversation
+  const conversation = await conversationManager.createConversation(sessionId, systemPrompt);
+
+  // Met à jour les métadonnées (sans les notes de solution, exposées dans les stats)
+  const { solutionNotes, ...publicContext } = context;
+  await conversationManager.updateMetadata(sessionId, {
+    promptType,
+    promptVersion: profile.version,
+    userId: req.user.id,
+    classId: req.user.role === ROLES.STUDENT ? req.user.classIds[0] || null : null,
+    tpId: tp.id,
+    tpVersion: tp.version,
+    context: publicContext,
+  });
+
+  res.status(201).json({
+    success: true,
+    sessionId,
+    message: 'Session créée avec succès',
+    createdAt: conversation.createdAt,
+  });
+}));
 
 /**
- * Récupère l'historique d'une conversation
- * GET /api/sessions/:sessionId/history
+ * Construit le message envoyé au modèle pour le mode demandé
+ * Le niveau d'explication par défaut est celui du TP de la session
+ * @param {Object} conversation - Conversation du ConversationManager
+ * @param {Object} body - { message, mode, level }
+ * @returns {Object} - Message { role, content } à ajouter à la fenêtre de contexte
  */
-app.get('/api/sessions/:sessionId/history', (req, res) => {
-  try {
-    const { sessionId } = req.params;
+function buildModeMessage(conversation, { message, mode = INTERACTION_MODES.CHAT, level }) {
+  const studentLevel = level || conversation.metadata?.context?.studentLevel;
+  return {
+    role: 'user',
+    content: PromptBuilder.buildUserPrompt(mode, message, { level: studentLevel }),
+  };
+}
 
-    const conversation = conversationManager.getConversation(sessionId);
-    if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session non trouvée',
-      });
-    }
+/**
+ * Calcule les options du modèle d'une session : valeurs par défaut du profil,
+ * puis options du client limitées par la politique du profil et du TP
+ * @param {Object} conversation - Conversation
+ * @param {Object|null} tp - TP de la session
+ * @param {Object} requested - Options demandées par le client
+ * @returns {Promise<Object>} - { options, clamped } (400 INVALID_OPTIONS si les options sont invalides)
+ */
+async function resolveModelOptions(conversation, tp, requested = {}) {
+  const errors = validateOptions(requested);
+  if (errors.length > 0) {
+    throw new ApiError('INVALID_OPTIONS', { details: errors });
+  }
 
-    res.json({
-      success: true,
-      messages: conversation.messages,
-      stats: conversationManager.getStats(sessionId),
-    });
-  } catch (error) {
-    console.error('Erreur récupération historique:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors de la récupération de l\'historique',
-    });
+  const promptType = conversation.metadata?.promptType;
+  const profile = promptType ? await promptProfiles.get(promptType) : null;
+  const defaults = {
+    model: openaiService.model,
+    maxTokens: openaiService.maxTokens,
+    temperature: openaiService.temperature,
+    ...PromptProfiles.toOptions(profile),
+  };
+
+  const { options, clamped, errors: policyErrors } = applyPolicy(
+    requested, defaults, resolvePolicy(openaiService, profile?.policy, tp?.policy)
+  );
+  if (policyErrors.length > 0) {
+    throw new ApiError('INVALID_OPTIONS', { details: policyErrors });
   }
-});
+  return { options, clamped };
+}
 
 /**
- * Réinitialise une conversation
- * POST /api/sessions/:sessionId/reset
+ * Enregistre les messages d'un échange, à la suite de la branche active
+ * ou dans une nouvelle branche à partir de l'index forkAt
+ * @param {string} sessionId - Identifiant de la session
+ * @param {Array} newMessages - [{ role, content, attachments?, ...extra }]
+ * @param {number|null} forkAt - Index du premier message remplacé (null : pas de branche)
+ * @returns {Promise<Object>} - { reply: dernier message enregistré, branchId: branche créée ou null }
  */
-app.post('/api/sessions/:sessionId/reset', (req, res) => {
-  try {
-    const { sessionId } = req.params;
+async function recordExchange(sessionId, newMessages, forkAt = null) {
+  // Les nouvelles pièces jointes sont enregistrées une fois sur la session,
+  // les messages n'en gardent que les identifiants
+  const files = newMessages.flatMap(m => (m.attachments || []).filter(a => typeof a !== 'string'));
+  if (files.length > 0) {
+    await conversationManager.addAttachments(sessionId, files);
+    newMessages = newMessages.map(m => (m.attachments
+      ? { ...m, attachments: m.attachments.map(a => (typeof a === 'string' ? a : a.id)) }
+      : m));
+  }
 
-    const success = conversationManager.resetConversation(sessionId);
-    if (!success) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session non trouvée',
-      });
+  if (forkAt === null) {
+    let reply = null;
+    for (const { role, content, ...extra } of newMessages) {
+      reply = await conversationManager.addMessage(sessionId, role, content, extra);
     }
+    return { reply, branchId: null };
+  }
 
-    res.json({
-      success: true,
-      message: 'Conversation réinitialisée',
+  const { branchId, messages } = await conversationManager.forkConversation(sessionId, forkAt, newMessages);
+  return { reply: messages[messages.length - 1], branchId };
+}
+
+/**
+ * Enregistre un message refusé par la modération et signale la session
+ * L'échange est conservé pour l'enseignant mais exclu du contexte envoyé au modèle
+ * @param {string} sessionId - Identifiant de la session
+ * @param {Object} userMessage - Message de l'étudiant { role, content, mode, attachments? }
+ * @param {Object} moderation - Résultat de moderateMessage
+ * @param {number|null} forkAt - Index de création de branche (édition d'un message)
+ * @returns {Promise<Object>} - { reply: message de refus enregistré, branchId }
+ */
+async function recordRefusal(sessionId, userMessage, moderation, forkAt = null) {
+  const timestamp = new Date().toISOString();
+
+  const recorded = await recordExchange(sessionId, [
+    { ...userMessage, moderation: 'blocked' },
+    { role: 'assistant', content: moderation.refusal, mode: userMessage.mode, moderation: 'blocked' },
+  ], forkAt);
+  await conversationManager.logIntervention(sessionId, {
+    type: 'input_moderation',
+    timestamp,
+    rules: moderation.flags,
+    action: 'refused',
+  });
+  await conversationManager.updateMetadata(sessionId, { flagged: true, flaggedAt: timestamp });
+  return recorded;
+}
+
+/**
+ * Filtre un message (taille, injection de prompt, propos injurieux) selon les règles du TP
+ * Le texte des fichiers joints, inséré dans le prompt, passe par les mêmes règles
+ * (sa taille est limitée par ATTACHMENT_LIMITS)
+ * @param {string} message - Message de l'étudiant
+ * @param {Object|null} tp - TP de la session
+ * @param {Array} attachments - Pièces jointes normalisées du message
+ * @returns {Object} - Résultat de moderateMessage (413 MESSAGE_TOO_LONG si le message est trop long)
+ */
+function moderate(message, tp, attachments = []) {
+  const moderation = moderateMessage(message, tp);
+  if (moderation.tooLong) {
+    throw new ApiError('MESSAGE_TOO_LONG', {
+      details: moderation.flags.map(f => f.detail),
+      maxMessageChars: moderation.maxMessageChars,
     });
-  } catch (error) {
-    console.error('Erreur réinitialisation:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors de la réinitialisation',
+  }
+
+  const texts = attachments.filter(attachment => attachment.kind === 'text');
+  if (texts.length === 0) {
+    return moderation;
+  }
+
+  const files = moderateTexts(texts, tp);
+  const flags = [...moderation.flags, ...files.flags];
+  return {
+    ...moderation,
+    allowed: flags.length === 0,
+    flags,
+    refusal: moderation.refusal || files.refusal,
+  };
+}
+
+/**
+ * Vérifie que le modèle peut être appelé pour l'utilisateur :
+ * fournisseur configuré (503), limite de débit et quotas de tokens (429 avec Retry-After)
+ * @param {Object} user - Utilisateur authentifié
+ */
+async function checkModelAccess(user) {
+  if (!openaiService.isConfigured()) {
+    throw new ApiError('LLM_NOT_CONFIGURED');
+  }
+
+  const quotaCheck = await usageTracker.checkQuota(user);
+  if (!quotaCheck.allowed) {
+    throw new ApiError(quotaCheck.quota.period === 'minute' ? 'RATE_LIMITED' : 'QUOTA_EXCEEDED', {
+      headers: { 'Retry-After': String(quotaCheck.retryAfter) },
+      quota: quotaCheck.quota,
     });
   }
-});
+}
 
 /**
- * Supprime une session
- * DELETE /api/sessions/:sessionId
+ * Erreur de l'API correspondant à un échec d'appel au modèle
+ * Aucun message n'a été enregistré : le client peut renvoyer sa demande telle quelle
+ * @param {Object} response - Échec retourné par openaiService { error, code, status }
+ * @returns {ApiError} - Code de openaiService (LLM_ERROR s'il n'est pas au catalogue)
+ */
+function llmError(response) {
+  return new ApiError(ERRORS[response.code] ? response.code : 'LLM_ERROR', {
+    details: response.error,
+    headers: response.status === 429 ? { 'Retry-After': '30' } : {},
+  });
+}
+
+/**
+ * Échange complet avec le modèle, partagé par le chat, l'édition et la régénération :
+ * politique des options, modération, quotas, appel au modèle, garde-fou puis enregistrement
+ * @param {Object} req - Requête Express (utilisateur authentifié)
+ * @param {Object} res - Réponse Express
+ * @param {Object} conversation - Conversation (accès déjà vérifié)
+ * @param {Object} exchange - { message, mode, level, options, attachments, forkAt, regenerate }
+ *   attachments : pièces jointes normalisées ou identifiants déjà enregistrés ;
+ *   forkAt : index à partir duquel créer une branche (null : suite de la branche active) ;
+ *   regenerate : le message de l'étudiant est déjà enregistré juste avant forkAt
  */
-app.delete('/api/sessions/:sessionId', (req, res) => {
-  try {
-    const { sessionId } = req.params;
+async function runExchange(req, res, conversation, {
+  message,
+  mode = INTERACTION_MODES.CHAT,
+  level,
+  options = {},
+  attachments = [],
+  forkAt = null,
+  regenerate = false,
+}) {
+  const sessionId = conversation.id;
+  const userMessage = { role: 'user', content: message, mode, ...(attachments.length > 0 && { attachments }) };
 
-    const success = conversationManager.deleteConversation(sessionId);
-    if (!success) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session non trouvée',
+  // Applique la politique du profil et du TP aux options demandées
+  const tp = await tpCatalog.get(conversation.metadata?.tpId);
+  const modelOptions = await resolveModelOptions(conversation, tp, options);
+
+  // Les images jointes exigent un modèle qui les accepte
+  checkVision(conversation, attachments, modelOptions.options.model);
+
+  // Un message régénéré a déjà été accepté par la modération
+  if (!regenerate) {
+    const moderation = moderate(message, tp, ConversationManager.resolveAttachments(conversation, attachments));
+    if (!moderation.allowed) {
+      const { reply, branchId } = await recordRefusal(sessionId, userMessage, moderation, forkAt);
+      return res.json({
+        success: true,
+        response: moderation.refusal,
+        messageId: reply.id,
+        ...(branchId && { branchId }),
+        moderated: true,
       });
     }
+  }
 
-    res.json({
-      success: true,
-      message: 'Session supprimée',
-    });
-  } catch (error) {
-    console.error('Erreur suppression:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors de la suppression',
-    });
+  await checkModelAccess(req.user);
+
+  // Récupère l'historique (jusqu'au point de branche éventuel) avec la demande de l'étudiant,
+  // mise en forme selon le mode
+  const upTo = forkAt === null ? undefined : forkAt - (regenerate ? 1 : 0);
+  const messages = await buildContext(conversation, [
+    { ...buildModeMessage(conversation, { message, mode, level }), attachments },
+  ], { upTo, vision: openaiService.supportsVision(modelOptions.options.model) });
+
+  // Appelle le modèle
+  const rawResponse = await openaiService.chat(messages, modelOptions.options);
+
+  if (!rawResponse.success) {
+    throw llmError(rawResponse);
   }
-});
+
+  // Garde-fou anti-fuite de solution : régénère ou masque le code si nécessaire
+  const { response, intervention } = await guardResponse({
+    response: rawResponse,
+    messages,
+    options: modelOptions.options,
+    tp,
+  });
+
+  // Ajoute l'échange à l'historique (le message d'origine de l'étudiant et son mode)
+  const assistantMessage = {
+    role: 'assistant',
+    content: response.message,
+    mode,
+    ...(intervention && { guardrail: intervention.action }),
+  };
+  const { reply, branchId } = await recordExchange(
+    sessionId,
+    regenerate ? [assistantMessage] : [userMessage, assistantMessage],
+    forkAt
+  );
+  if (intervention) {
+    await conversationManager.logIntervention(sessionId, { type: 'solution_guard', ...intervention });
+  }
+  await usageTracker.record({ sessionId, ...ownerOf(conversation) }, response.usage);
+
+  res.json({
+    success: true,
+    response: response.message,
+    messageId: reply.id,
+    ...(branchId && { branchId }),
+    usage: response.usage,
+    model: response.model,
+    ...(intervention && { guardrail: intervention.action }),
+    ...(modelOptions.clamped.length > 0 && { clamped: modelOptions.clamped }),
+    quota: await usageTracker.getRemaining(req.user),
+  });
+}
 
 /**
- * Récupère les statistiques d'une session
- * GET /api/sessions/:sessionId/stats
+ * Charge une session et vérifie les droits de l'utilisateur
+ * Une session archivée est en lecture seule jusqu'à sa reprise
+ * @param {Object} req - Requête Express
+ * @param {string} sessionId - Identifiant de la session
+ * @param {Object} options - { write: true } pour une action modifiant la session,
+ *   { allowArchived: true } pour l'autoriser sur une session archivée
+ * @returns {Promise<Object>} - Conversation (404 SESSION_NOT_FOUND, 403 SESSION_FORBIDDEN, 409 SESSION_ARCHIVED)
  */
-app.get('/api/sessions/:sessionId/stats', (req, res) => {
-  try {
-    const { sessionId } = req.params;
+async function loadSession(req, sessionId, { write = false, allowArchived = false } = {}) {
+  const conversation = await conversationManager.getConversation(sessionId);
+  if (!conversation) {
+    throw new ApiError('SESSION_NOT_FOUND');
+  }
 
-    const stats = conversationManager.getStats(sessionId);
-    if (!stats) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session non trouvée',
-      });
-    }
+  if (!canAccessSession(req.user, conversation, { write })) {
+    throw new ApiError('SESSION_FORBIDDEN');
+  }
 
-    res.json({
-      success: true,
-      stats,
-    });
-  } catch (error) {
-    console.error('Erreur récupération stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erreur lors de la récupération des statistiques',
-    });
+  if (write && !allowArchived && conversation.archivedAt) {
+    throw new ApiError('SESSION_ARCHIVED', { archivedAt: conversation.archivedAt });
   }
-});
+
+  return conversation;
+}
 
 /**
- * Liste les types de prompts disponibles
- * GET /api/prompts
+ * Valide les pièces jointes de la requête
+ * @param {Object} req - Requête Express
+ * @returns {Array} - Pièces jointes normalisées (400 ATTACHMENTS_INVALID, 413 ATTACHMENTS_TOO_LARGE)
  */
-app.get('/api/prompts', (req, res) => {
-  res.json({
-    success: true,
-    promptTypes: Object.keys(SYSTEM_PROMPTS),
-    descriptions: {
-      TP_ASSISTANT: 'Assistant général pour les TP',
-      PROGRAMMING_TUTOR: 'Tuteur spécialisé en programmation',
-      DEBUG_HELPER: 'Assistant de débogage',
-    },
+function readAttachments(req) {
+  const { attachments, errors, tooLarge } = parseAttachments(req.body.attachments);
+
+  if (errors.length > 0) {
+    throw tooLarge
+      ? new ApiError('ATTACHMENTS_TOO_LARGE', {
+        details: errors,
+        maxFiles: ATTACHMENT_LIMITS.maxFiles,
+        maxFileBytes: ATTACHMENT_LIMITS.maxFileBytes,
+      })
+      : new ApiError('ATTACHMENTS_INVALID', { details: errors });
+  }
+
+  return attachments;
+}
+
+/**
+ * Vérifie que le modèle accepte les images jointes au message
+ * @param {Object} conversation - Conversation
+ * @param {Array} attachments - Pièces jointes ou identifiants
+ * @param {string} model - Modèle utilisé (400 VISION_UNSUPPORTED s'il refuse les images)
+ */
+function checkVision(conversation, attachments, model) {
+  const hasImages = ConversationManager.resolveAttachments(conversation, attachments)
+    .some(attachment => attachment.kind === 'image');
+
+  if (hasImages && !openaiService.supportsVision(model)) {
+    throw new ApiError('VISION_UNSUPPORTED', { params: { model } });
+  }
+}
+
+/**
+ * Envoie un message et reçoit une réponse
+ * POST /api/chat
+ * Body: { sessionId: string, message: string, mode?: 'chat'|'explain'|'clarify', level?: string, options?: object,
+ *         attachments?: [{ name: string, type: string, data?: string (base64), content?: string }] }
+ */
+app.post('/api/chat', validateRequest(SCHEMAS.chat), asyncHandler(async (req, res) => {
+  const { sessionId, message, mode = INTERACTION_MODES.CHAT, level, options = {} } = req.body;
+
+  const attachments = readAttachments(req);
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  await runExchange(req, res, conversation, { message, mode, level, options, attachments });
+}));
+
+// Échanges produits par une route dédiée (revue, indice, vérification) : ni régénérés ni modifiés
+const STRUCTURED_MODES = ['code-review', 'hint', 'check'];
+
+/**
+ * Régénère la dernière réponse de l'assistant
+ * La réponse précédente reste disponible dans la branche d'origine
+ * POST /api/sessions/:sessionId/regenerate
+ * Body: { options?: object }
+ */
+app.post('/api/sessions/:sessionId/regenerate', validateRequest(SCHEMAS.regenerate), asyncHandler(async (req, res) => {
+  const conversation = await loadSession(req, req.params.sessionId, { write: true });
+
+  const lastIndex = conversation.messages.length - 1;
+  const last = conversation.messages[lastIndex];
+  const question = conversation.messages[lastIndex - 1];
+
+  if (last.role !== 'assistant' || question?.role !== 'user' || STRUCTURED_MODES.includes(last.mode)) {
+    throw new ApiError('NOTHING_TO_REGENERATE');
+  }
+
+  if (last.moderation === 'blocked') {
+    throw new ApiError('MODERATED_NOT_REGENERABLE');
+  }
+
+  await runExchange(req, res, conversation, {
+    message: question.content,
+    mode: question.mode,
+    options: req.body.options,
+    attachments: question.attachments,
+    forkAt: lastIndex,
+    regenerate: true,
   });
-});
+}));
 
-// Gestion des erreurs 404
-app.use((req, res) => {
-  res.status(404).send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>404 - TEST VERCEL DEPLOYMENT</title>
-      <style>
-        body {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          font-family: Arial, sans-serif;
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          height: 100vh;
-          margin: 0;
-        }
-        .container {
-          text-align: center;
-          padding: 40px;
-          background: rgba(255, 255, 255, 0.1);
-          border-radius: 20px;
-          backdrop-filter: blur(10px);
-        }
-        h1 {
-          font-size: 5em;
-          margin: 0;
-          text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-        }
-        p {
-          font-size: 1.5em;
-          margin: 20px 0;
-        }
-        .timestamp {
-          font-size: 0.9em;
-          opacity: 0.8;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <h1>🚀 404</h1>
-        <p>VERCEL DEPLOYMENT TEST - Route non trouvée</p>
-        <p>Path: ${req.path}</p>
-        <p class="timestamp">Déployé à: ${new Date().toISOString()}</p>
-      </div>
-    </body>
-    </html>
-  `);
-});
+/**
+ * Modifie un message précédent de l'étudiant : crée une branche à partir de ce message
+ * avec la nouvelle version et une nouvelle réponse ; la branche d'origine est conservée
+ * POST /api/sessions/:sessionId/messages/:messageId/edit
+ * Body: { message: string, mode?: string, level?: string, options?: object, attachments?: array }
+ *   Sans attachments, les pièces jointes du message d'origine sont conservées
+ */
+app.post('/api/sessions/:sessionId/messages/:messageId/edit', validateRequest(SCHEMAS.editMessage), asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+  const { message, level, options } = req.body;
+
+  const attachments = readAttachments(req);
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  const index = conversation.messages.findIndex(m => m.id === messageId);
+  if (index === -1) {
+    throw new ApiError('MESSAGE_NOT_FOUND');
+  }
+
+  const original = conversation.messages[index];
+  if (original.role !== 'user' || STRUCTURED_MODES.includes(original.mode)) {
+    throw new ApiError('MESSAGE_NOT_EDITABLE');
+  }
+
+  await runExchange(req, res, conversation, {
+    message,
+    mode: req.body.mode || original.mode,
+    level,
+    options,
+    attachments: req.body.attachments === undefined ? original.attachments : attachments,
+    forkAt: index,
+  });
+}));
+
+/**
+ * Propriétaire d'une session pour la comptabilisation des tokens
+ * @param {Object} conversation - Conversation du ConversationManager
+ * @returns {Object} - { userId, classId }
+ */
+function ownerOf(conversation) {
+  const { userId, classId } = conversation.metadata || {};
+  return { userId, classId };
+}
+
+/**
+ * Statistiques d'une session selon le rôle de l'utilisateur
+ * @param {Object} user - Utilisateur authentifié
+ * @param {Object} stats - Statistiques issues de conversationManager.getStats
+ * @returns {Object} - Statistiques complètes pour un enseignant, vue publique pour un étudiant
+ */
+function statsFor(user, stats) {
+  return user.role === ROLES.TEACHER ? stats : ConversationManager.toPublicStats(stats);
+}
+
+/**
+ * Construit les messages envoyés au modèle pour une session
+ * Si l'historique a dû être résumé, l'appel au modèle correspondant est compté
+ * dans la consommation de la session, de l'étudiant et de sa classe
+ * @param {Object} conversation - Conversation (quotas déjà vérifiés)
+ * @param {Array} pending - Messages à ajouter en fin de fenêtre
+ * @param {Object} options - Options de conversationManager.getMessages ({ upTo, vision })
+ * @returns {Promise<Array>} - Messages formatés pour le modèle
+ */
+async function buildContext(conversation, pending, options) {
+  const { messages, usage } = await conversationManager.getMessages(conversation.id, pending, options);
+  if (usage) {
+    await usageTracker.record({ sessionId: conversation.id, ...ownerOf(conversation) }, usage);
+  }
+  return messages;
+}
+
+/**
+ * Envoie un événement Server-Sent Events
+ * @param {Object} res - Réponse Express
+ * @param {string} event - Nom de l'événement
+ * @param {Object} data - Données sérialisées en JSON
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Envoie un message et reçoit la réponse en streaming (Server-Sent Events)
+ * POST /api/chat/stream
+ * Body: identique à /api/chat
+ * Événements: token { content }, done { usage, model }, error (corps d'erreur uniforme)
+ * Les erreurs survenues avant le début du flux sont renvoyées en JSON
+ */
+app.post('/api/chat/stream', validateRequest(SCHEMAS.chatStream), asyncHandler(async (req, res) => {
+  const { sessionId, message, mode = INTERACTION_MODES.CHAT, options = {} } = req.body;
+
+  const attachments = readAttachments(req);
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  // Applique la politique du profil et du TP aux options demandées
+  const tp = await tpCatalog.get(conversation.metadata?.tpId);
+  const modelOptions = await resolveModelOptions(conversation, tp, options);
+
+  // Les images jointes exigent un modèle qui les accepte
+  checkVision(conversation, attachments, modelOptions.options.model);
+
+  const userMessage = { role: 'user', content: message, mode, ...(attachments.length > 0 && { attachments }) };
+
+  const moderation = moderate(message, tp, attachments);
+  if (!moderation.allowed) {
+    const { reply: refusal } = await recordRefusal(sessionId, userMessage, moderation);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+    });
+    sendEvent(res, 'token', { content: moderation.refusal });
+    sendEvent(res, 'done', { messageId: refusal.id, moderated: true });
+    return res.end();
+  }
+
+  await checkModelAccess(req.user);
+
+  // Le message utilisateur n'est enregistré qu'avec la réponse complète,
+  // pour qu'une erreur en cours de stream ne laisse pas de tour orphelin
+  const messages = await buildContext(conversation, [
+    { ...buildModeMessage(conversation, req.body), attachments },
+  ], { vision: openaiService.supportsVision(modelOptions.options.model) });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  // Interrompt l'appel au modèle si le client se déconnecte
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
+
+  const response = await openaiService.chatStream(
+    messages,
+    { ...modelOptions.options, signal: abortController.signal },
+    (content) => sendEvent(res, 'token', { content })
+  );
+
+  if (abortController.signal.aborted) {
+    return;
+  }
+
+  // Le flux est ouvert : errorHandler envoie l'erreur sous forme d'événement error
+  if (!response.success) {
+    throw llmError(response);
+  }
+
+  // Le texte est déjà parti : le garde-fou ne peut que masquer le code fautif,
+  // le client remplace alors la réponse affichée par la version corrigée
+  const violations = checkResponse(response.message, tp);
+  let content = response.message;
+
+  if (violations.length > 0) {
+    content = redact(response.message, violations);
+    await conversationManager.logIntervention(sessionId, {
+      type: 'solution_guard',
+      timestamp: new Date().toISOString(),
+      rules: violations.map(v => ({ rule: v.rule, detail: v.detail })),
+      action: 'redacted',
+    });
+    sendEvent(res, 'guardrail', { content });
+  }
+
+  const { reply } = await recordExchange(sessionId, [userMessage, {
+    role: 'assistant',
+    content,
+    mode,
+    ...(violations.length > 0 && { guardrail: 'redacted' }),
+  }]);
+  await usageTracker.record({ sessionId, ...ownerOf(conversation) }, response.usage);
+
+  sendEvent(res, 'done', {
+    messageId: reply.id,
+    usage: response.usage,
+    model: response.model,
+    ...(modelOptions.clamped.length > 0 && { clamped: modelOptions.clamped }),
+    quota: await usageTracker.getRemaining(req.user),
+  });
+  res.end();
+}));
+
+/**
+ * Demande une revue de code structurée
+ * POST /api/sessions/:sessionId/code-review
+ * Body: { files: [{ name: string, language?: string, content: string }] }
+ */
+app.post('/api/sessions/:sessionId/code-review', validateRequest(SCHEMAS.codeReview), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { files } = req.body;
+
+  const { errors, tooLarge } = validateSubmission(files);
+  if (errors.length > 0) {
+    throw new ApiError(tooLarge ? 'CODE_TOO_LARGE' : 'CODE_INVALID', { details: errors });
+  }
+
+  const conversation = await loadSession(req, sessionId, { write: true });
+  const tp = await tpCatalog.get(conversation.metadata?.tpId);
+  const userMessage = { role: 'user', content: PromptBuilder.buildCodeReviewPrompt(files), mode: 'code-review' };
+
+  // Les fichiers passent par la même modération que les messages (hors limite de taille)
+  const moderation = moderateTexts(files, tp);
+  if (!moderation.allowed) {
+    const { reply } = await recordRefusal(sessionId, userMessage, moderation);
+    return res.json({
+      success: true,
+      response: moderation.refusal,
+      messageId: reply.id,
+      moderated: true,
+    });
+  }
+
+  await checkModelAccess(req.user);
+
+  // La revue profite du contexte de la session (prompt système du TP, échanges récents)
+  const messages = await buildContext(conversation, [
+    { role: 'user', content: PromptBuilder.buildCodeReviewPrompt(files, { json: true }) },
+  ]);
+
+  const { options } = await resolveModelOptions(conversation, tp);
+  const reviewOptions = { ...options, responseFormat: 'json_object' };
+  const rawResponse = await openaiService.chat(messages, reviewOptions);
+
+  if (!rawResponse.success) {
+    throw llmError(rawResponse);
+  }
+
+  // Même garde-fou anti-solution que le chat, appliqué à chaque élément du retour
+  const { response, intervention } = await guardResponse({
+    response: rawResponse,
+    messages,
+    options: reviewOptions,
+    tp,
+    format: FEEDBACK_FORMAT,
+  });
+
+  const feedback = parseFeedback(response.message);
+  if (!feedback) {
+    throw new ApiError('LLM_INVALID_RESPONSE', { details: 'La revue de code ne respecte pas le format attendu' });
+  }
+
+  // Enregistre l'échange dans l'historique sous une forme lisible
+  const { reply } = await recordExchange(sessionId, [
+    userMessage,
+    {
+      role: 'assistant',
+      content: feedbackToMarkdown(feedback),
+      mode: 'code-review',
+      ...(intervention && { guardrail: intervention.action }),
+    },
+  ]);
+  if (intervention) {
+    await conversationManager.logIntervention(sessionId, { type: 'solution_guard', ...intervention });
+  }
+  await usageTracker.record({ sessionId, ...ownerOf(conversation) }, response.usage);
+
+  res.json({
+    success: true,
+    feedback,
+    messageId: reply.id,
+    usage: response.usage,
+    model: response.model,
+    ...(intervention && { guardrail: intervention.action }),
+    quota: await usageTracker.getRemaining(req.user),
+  });
+}));
+
+/**
+ * Demande l'indice suivant pour un exercice du TP (échelle d'indices)
+ * Le niveau rédigé par l'enseignant est renvoyé tel quel ; sinon le modèle le génère
+ * POST /api/sessions/:sessionId/hint
+ * Body: { exerciseId: string, message?: string }
+ */
+app.post('/api/sessions/:sessionId/hint', validateRequest(SCHEMAS.hint), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { exerciseId, message = '' } = req.body;
+
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  const tp = await tpCatalog.get(conversation.metadata?.tpId);
+  const exercise = tp?.exercises?.find(e => e.id === exerciseId);
+  if (!exercise) {
+    throw new ApiError('EXERCISE_NOT_FOUND');
+  }
+
+  const level = nextHintLevel(conversation.hints?.[exerciseId]);
+  if (level === null) {
+    throw new ApiError('HINTS_EXHAUSTED', { level: HINT_LEVELS.length, maxLevel: HINT_LEVELS.length });
+  }
+  const hintLevel = describeHintLevel(level);
+  const question = message || `Indice ${level}/${HINT_LEVELS.length} pour l'exercice « ${exercise.title} »`;
+
+  // La question éventuelle passe par la même modération que le chat
+  if (message) {
+    const moderation = moderate(message, tp);
+    if (!moderation.allowed) {
+      const { reply } = await recordRefusal(sessionId, { role: 'user', content: message, mode: 'hint' }, moderation);
+      return res.json({
+        success: true,
+        response: moderation.refusal,
+        messageId: reply.id,
+        moderated: true,
+      });
+    }
+  }
+
+  const hintMessages = (content, extra = {}) => [
+    { role: 'user', content: question, mode: 'hint', hint: { exerciseId, level } },
+    { role: 'assistant', content, mode: 'hint', hint: { exerciseId, level }, ...extra },
+  ];
+
+  // Indice rédigé par l'enseignant : pas d'appel au modèle
+  const written = exercise.hints?.[level - 1];
+  if (written) {
+    const { reply } = await recordExchange(sessionId, hintMessages(written, { source: 'teacher' }));
+    await conversationManager.recordHint(sessionId, exerciseId, level);
+
+    return res.json({
+      success: true,
+      exerciseId,
+      ...hintLevel,
+      maxLevel: HINT_LEVELS.length,
+      hint: written,
+      source: 'teacher',
+      messageId: reply.id,
+    });
+  }
+
+  await checkModelAccess(req.user);
+
+  // L'indice tient compte de la conversation (indices précédents, code déjà montré)
+  const messages = await buildContext(conversation, [
+    { role: 'user', content: PromptBuilder.buildHintPrompt(exercise, hintLevel, HINT_LEVELS.length, message) },
+  ]);
+  const { options } = await resolveModelOptions(conversation, tp);
+  const rawResponse = await openaiService.chat(messages, options);
+
+  if (!rawResponse.success) {
+    throw llmError(rawResponse);
+  }
+
+  // Même le dernier niveau ne doit pas livrer la solution de référence
+  const { response, intervention } = await guardResponse({ response: rawResponse, messages, options, tp });
+
+  const { reply } = await recordExchange(sessionId, hintMessages(response.message, {
+    source: 'model',
+    ...(intervention && { guardrail: intervention.action }),
+  }));
+  await conversationManager.recordHint(sessionId, exerciseId, level);
+  if (intervention) {
+    await conversationManager.logIntervention(sessionId, { type: 'solution_guard', ...intervention });
+  }
+  await usageTracker.record({ sessionId, ...ownerOf(conversation) }, response.usage);
+
+  res.json({
+    success: true,
+    exerciseId,
+    ...hintLevel,
+    maxLevel: HINT_LEVELS.length,
+    hint: response.message,
+    source: 'model',
+    messageId: reply.id,
+    usage: response.usage,
+    model: response.model,
+    ...(intervention && { guardrail: intervention.action }),
+    quota: await usageTracker.getRemaining(req.user),
+  });
+}));
+
+/**
+ * Vérifie le code d'un étudiant sur les tests d'un exercice du TP
+ * Les tests échoués sont ajoutés à la conversation et commentés par le modèle
+ * sans donner la correction ; si le modèle est indisponible, seuls les résultats sont renvoyés
+ * POST /api/sessions/:sessionId/exercises/:exerciseId/check
+ * Body: { code: string }
+ */
+app.post('/api/sessions/:sessionId/exercises/:exerciseId/check', validateRequest(SCHEMAS.checkExercise), asyncHandler(async (req, res) => {
+  const { sessionId, exerciseId } = req.params;
+  const { code } = req.body;
+
+  if (code.length > SANDBOX_LIMITS.maxCodeChars) {
+    throw new ApiError('CODE_TOO_LARGE', { maxCodeChars: SANDBOX_LIMITS.maxCodeChars });
+  }
+
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  const tp = await tpCatalog.get(conversation.metadata?.tpId);
+  const exercise = tp?.exercises?.find(e => e.id === exerciseId);
+  if (!exercise) {
+    throw new ApiError('EXERCISE_NOT_FOUND');
+  }
+  if (!exercise.tests?.length) {
+    throw new ApiError('NO_TESTS');
+  }
+
+  const run = await runSandbox({ language: exercise.language, code, entry: exercise.entry, tests: exercise.tests });
+  const grading = gradeResults(exercise.tests, run);
+  const report = PromptBuilder.buildCheckReport(exercise, code, grading);
+  const check = { exerciseId, passed: grading.passed, total: grading.total };
+
+  // Le code (commentaires compris) est inséré dans le prompt : même modération que la revue
+  // de code. S'il est refusé, la note du bac à sable est renvoyée sans commentaire du modèle
+  const moderation = moderateTexts([{ name: exerciseId, content: code }], tp);
+  if (!moderation.allowed) {
+    const { reply } = await recordRefusal(sessionId, { role: 'user', content: report, mode: 'check', check }, moderation);
+    await conversationManager.recordCheck(sessionId, exerciseId, grading);
+    return res.json({
+      success: true,
+      exerciseId,
+      passed: grading.passed,
+      total: grading.total,
+      allPassed: grading.allPassed,
+      results: toPublicResults(grading.results),
+      ...(run.error && { executionError: run.error }),
+      feedback: moderation.refusal,
+      source: 'system',
+      messageId: reply.id,
+      moderated: true,
+    });
+  }
+
+  // Commentaire du modèle sur les échecs, si le service et le quota le permettent
+  let response = null;
+  let intervention = null;
+  let quotaCheck = null;
+  if (!grading.allPassed && openaiService.isConfigured()) {
+    quotaCheck = await usageTracker.checkQuota(req.user);
+  }
+  if (quotaCheck?.allowed) {
+    const messages = await buildContext(conversation, [
+      { role: 'user', content: PromptBuilder.buildCheckFeedbackPrompt(report) },
+    ]);
+    const { options } = await resolveModelOptions(conversation, tp);
+    const rawResponse = await openaiService.chat(messages, options);
+
+    if (rawResponse.success) {
+      ({ response, intervention } = await guardResponse({ response: rawResponse, messages, options, tp }));
+    } else {
+      logger.warn('Commentaire de vérification indisponible', { code: rawResponse.code, error: rawResponse.error });
+    }
+  }
+
+  const feedback = response ? response.message : describeGrading(grading);
+  const { reply } = await recordExchange(sessionId, [
+    { role: 'user', content: report, mode: 'check', check },
+    {
+      role: 'assistant',
+      content: feedback,
+      mode: 'check',
+      check,
+      source: response ? 'model' : 'system',
+      ...(intervention && { guardrail: intervention.action }),
+    },
+  ]);
+  await conversationManager.recordCheck(sessionId, exerciseId, grading);
+  if (intervention) {
+    await conversationManager.logIntervention(sessionId, { type: 'solution_guard', ...intervention });
+  }
+  if (response) {
+    await usageTracker.record({ sessionId, ...ownerOf(conversation) }, response.usage);
+  }
+
+  res.json({
+    success: true,
+    exerciseId,
+    passed: grading.passed,
+    total: grading.total,
+    allPassed: grading.allPassed,
+    results: toPublicResults(grading.results),
+    ...(run.error && { executionError: run.error }),
+    feedback,
+    source: response ? 'model' : 'system',
+    messageId: reply.id,
+    ...(response && { usage: response.usage, model: response.model }),
+    ...(intervention && { guardrail: intervention.action }),
+    ...(quotaCheck && { quota: quotaCheck.allowed ? await usageTracker.getRemaining(req.user) : quotaCheck.quota }),
+  });
+}));
+
+/**
+ * Donne un avis sur une réponse de l'assistant (remplace l'avis précédent)
+ * POST /api/sessions/:sessionId/messages/:messageId/feedback
+ * Body: { rating: 'up'|'down', category?: string, comment?: string }
+ */
+app.post('/api/sessions/:sessionId/messages/:messageId/feedback', validateRequest(SCHEMAS.feedback), asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  // Seul l'étudiant propriétaire de la session donne son avis
+  const conversation = await loadSession(req, sessionId, { write: true });
+
+  const message = conversation.messages.find(m => m.id === messageId);
+  if (!message) {
+    throw new ApiError('MESSAGE_NOT_FOUND');
+  }
+
+  if (message.role !== 'assistant') {
+    throw new ApiError('MESSAGE_NOT_RATEABLE');
+  }
+
+  const feedback = await conversationManager.rateMessage(sessionId, messageId, req.body);
+
+  res.json({
+    success: true,
+    messageId,
+    feedback,
+  });
+}));
+
+/**
+ * Récupère l'historique d'une conversation (branche active par défaut)
+ * GET /api/sessions/:sessionId/history?branch=
+ */
+app.get('/api/sessions/:sessionId/history', validateRequest(SCHEMAS.history), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const conversation = await loadSession(req, sessionId);
+
+  const messages = ConversationManager.getBranchMessages(conversation, req.query.branch);
+  if (!messages) {
+    throw new ApiError('BRANCH_NOT_FOUND');
+  }
+
+  // Le prompt système contient les notes confidentielles du TP : il n'est pas renvoyé
+  res.json({
+    success: true,
+    branch: req.query.branch || conversation.activeBranch || 'main',
+    messages: messages.filter(m => m.role !== 'system'),
+    // Les messages référencent leurs pièces jointes par identifiant (contenu via la route dédiée)
+    attachments: Object.fromEntries(Object.values(conversation.attachments || {})
+      .map(attachment => [attachment.id, describeAttachment(attachment)])),
+    stats: statsFor(req.user, await conversationManager.getStats(sessionId)),
+  });
+}));
+
+/**
+ * Télécharge une pièce jointe d'une conversation
+ * GET /api/sessions/:sessionId/attachments/:attachmentId
+ */
+app.get('/api/sessions/:sessionId/attachments/:attachmentId', validateRequest(SCHEMAS.attachment), asyncHandler(async (req, res) => {
+  const conversation = await loadSession(req, req.params.sessionId);
+
+  const attachment = conversation.attachments?.[req.params.attachmentId];
+  if (!attachment) {
+    throw new ApiError('ATTACHMENT_NOT_FOUND');
+  }
+
+  // Toujours proposée en téléchargement : un fichier HTML envoyé par un étudiant
+  // ne doit pas s'afficher sur le domaine de l'API
+  res.attachment(attachment.name);
+  res.type(attachment.type);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.send(attachment.kind === 'image'
+    ? Buffer.from(attachment.data, 'base64')
+    : attachment.content);
+}));
+
+/**
+ * Liste les branches d'une conversation (créées par édition ou régénération)
+ * GET /api/sessions/:sessionId/branches
+ */
+app.get('/api/sessions/:sessionId/branches', validateRequest(SCHEMAS.branches), asyncHandler(async (req, res) => {
+  const conversation = await loadSession(req, req.params.sessionId);
+
+  res.json({
+    success: true,
+    activeBranch: conversation.activeBranch || 'main',
+    branches: ConversationManager.listBranches(conversation),
+  });
+}));
+
+/**
+ * Active une branche : les prochains messages la prolongent
+ * POST /api/sessions/:sessionId/branches/:branchId/activate
+ */
+app.post('/api/sessions/:sessionId/branches/:branchId/activate', validateRequest(SCHEMAS.activateBranch), asyncHandler(async (req, res) => {
+  const { sessionId, branchId } = req.params;
+
+  await loadSession(req, sessionId, { write: true });
+
+  const switched = await conversationManager.switchBranch(sessionId, branchId);
+  if (!switched) {
+    throw new ApiError('BRANCH_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    activeBranch: branchId,
+  });
+}));
+
+/**
+ * Journal des interventions (garde-fou, modération) d'une session, pour l'audit enseignant
+ * GET /api/sessions/:sessionId/interventions
+ */
+app.get('/api/sessions/:sessionId/interventions', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.interventions), asyncHandler(async (req, res) => {
+  const conversation = await loadSession(req, req.params.sessionId);
+
+  res.json({
+    success: true,
+    interventions: conversation.interventions || [],
+  });
+}));
+
+/**
+ * Exporte la transcription d'une conversation
+ * GET /api/sessions/:sessionId/export?format=markdown|json|csv&includeSystem=true
+ * Le prompt système (notes confidentielles du TP) n'est exporté que pour les enseignants
+ */
+app.get('/api/sessions/:sessionId/export', validateRequest(SCHEMAS.exportSession), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { format = 'markdown', includeSystem } = req.query;
+
+  const conversation = await loadSession(req, sessionId);
+
+  const options = {
+    includeSystem: includeSystem === 'true' && req.user.role === ROLES.TEACHER,
+  };
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.attachment(`${sessionId}.${extension}`);
+  res.set('Content-Type', contentType);
+  res.send(exportConversation(conversation, format, options));
+}));
+
+/**
+ * Réinitialise une conversation
+ * POST /api/sessions/:sessionId/reset
+ */
+app.post('/api/sessions/:sessionId/reset', validateRequest(SCHEMAS.reset), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  await loadSession(req, sessionId, { write: true });
+  await conversationManager.resetConversation(sessionId);
+
+  res.json({
+    success: true,
+    message: 'Conversation réinitialisée',
+  });
+}));
+
+/**
+ * Reprend une session archivée : elle redevient modifiable et son délai d'inactivité repart de zéro
+ * Réservé à l'étudiant propriétaire
+ * POST /api/sessions/:sessionId/resume
+ */
+app.post('/api/sessions/:sessionId/resume', validateRequest(SCHEMAS.resume), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const conversation = await loadSession(req, sessionId, { write: true, allowArchived: true });
+  if (!conversation.archivedAt) {
+    throw new ApiError('SESSION_NOT_ARCHIVED');
+  }
+
+  const resumed = await conversationManager.resumeConversation(sessionId);
+
+  res.json({
+    success: true,
+    message: 'Session reprise',
+    resumedAt: resumed.resumedAt,
+    lifecycle: describeLifecycle(resumed),
+  });
+}));
+
+/**
+ * Supprime une session
+ * DELETE /api/sessions/:sessionId
+ */
+app.delete('/api/sessions/:sessionId', validateRequest(SCHEMAS.deleteSession), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  await loadSession(req, sessionId);
+  await conversationManager.deleteConversation(sessionId);
+
+  res.json({
+    success: true,
+    message: 'Session supprimée',
+  });
+}));
+
+/**
+ * Récupère les statistiques d'une session
+ * GET /api/sessions/:sessionId/stats
+ */
+app.get('/api/sessions/:sessionId/stats', validateRequest(SCHEMAS.stats), asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const conversation = await loadSession(req, sessionId);
+
+  const stats = statsFor(req.user, await conversationManager.getStats(sessionId));
+  const { userId } = ownerOf(conversation);
+
+  res.json({
+    success: true,
+    stats: {
+      ...stats,
+      usage: {
+        session: await usageTracker.getSessionUsage(sessionId),
+        student: userId ? await usageTracker.getStudentUsage(userId) : null,
+      },
+    },
+  });
+}));
+
+/**
+ * Consommation et quotas restants de l'utilisateur courant
+ * GET /api/usage/me
+ */
+app.get('/api/usage/me', validateRequest(SCHEMAS.usageMe), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    usage: await usageTracker.getStudentUsage(req.user.id),
+    quota: await usageTracker.getRemaining(req.user),
+  });
+}));
+
+/**
+ * Consommation agrégée d'une classe (enseignants de la classe uniquement)
+ * GET /api/usage/classes/:classId
+ */
+app.get('/api/usage/classes/:classId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.classUsage), asyncHandler(async (req, res) => {
+  const { classId } = req.params;
+
+  if (!req.user.classIds.includes(classId)) {
+    throw new ApiError('CLASS_FORBIDDEN');
+  }
+
+  res.json({
+    success: true,
+    usage: await usageTracker.getClassUsage(classId),
+  });
+}));
+
+/**
+ * Lit les filtres du tableau de bord dans la query string (déjà validée par le schéma de la route)
+ * Un enseignant ne voit que les sessions des classes dont il a la charge
+ * @param {Object} req - Requête Express (query: tpId, classId, userId, from, to, activeWithin, flagged, archived)
+ * @returns {Object} - Filtres pour listConversations (403 CLASS_FORBIDDEN, 400 si une date est invalide)
+ */
+function parseDashboardFilters(req) {
+  const { tpId, classId, userId, from, to, activeWithin, flagged, archived } = req.query;
+
+  if (classId && !req.user.classIds.includes(classId)) {
+    throw new ApiError('CLASS_FORBIDDEN');
+  }
+
+  const filters = {
+    tpId,
+    userId,
+    classIds: classId ? [classId] : req.user.classIds,
+    ...(flagged !== undefined && { flagged: flagged === 'true' }),
+    ...(archived !== undefined && { archived: archived === 'true' }),
+  };
+
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value) {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ApiError('VALIDATION_FAILED', { details: [`query : ${key} doit être une date ISO valide`] });
+      }
+      filters[key] = date;
+    }
+  }
+
+  if (activeWithin) {
+    filters.activeSince = new Date(Date.now() - parseInt(activeWithin) * 60 * 1000);
+  }
+
+  return filters;
+}
+
+/**
+ * Liste les sessions des classes de l'enseignant (sessions archivées exclues sauf archived=true)
+ * GET /api/dashboard/sessions?tpId=&classId=&userId=&from=&to=&activeWithin=&flagged=&archived=
+ */
+app.get('/api/dashboard/sessions', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.dashboardSessions), asyncHandler(async (req, res) => {
+  const conversations = await conversationManager.listConversations({ archived: false, ...parseDashboardFilters(req) });
+  const sessions = [];
+  for (const conversation of conversations) {
+    sessions.push(await summarizeSession(conversation));
+  }
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    sessions,
+  });
+}));
+
+/**
+ * Statistiques agrégées sur les sessions filtrées
+ * GET /api/dashboard/analytics?tpId=&classId=&userId=&from=&to=&activeWithin=&topics=keywords|model
+ */
+app.get('/api/dashboard/analytics', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.dashboardAnalytics), asyncHandler(async (req, res) => {
+  const conversations = await conversationManager.listConversations(parseDashboardFilters(req));
+  const analytics = await computeAnalytics(conversations, { topics: req.query.topics });
+
+  res.json({
+    success: true,
+    analytics,
+  });
+}));
+
+/**
+ * Export en masse des sessions filtrées, envoyé au fil de l'eau
+ * GET /api/dashboard/export?format=jsonl|csv&includeSystem=true&tpId=&classId=&...
+ * Une erreur survenue en cours d'envoi interrompt le fichier
+ */
+app.get('/api/dashboard/export', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.dashboardExport), asyncHandler(async (req, res) => {
+  const { format = 'jsonl', includeSystem } = req.query;
+
+  const filters = parseDashboardFilters(req);
+  const options = { includeSystem: includeSystem === 'true' };
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.attachment(`export_${filters.tpId || 'sessions'}_${new Date().toISOString().slice(0, 10)}.${extension}`);
+  res.set('Content-Type', contentType);
+
+  if (format === 'csv') {
+    res.write(csvHeader());
+  }
+
+  // Une conversation à la fois : rien n'est accumulé en mémoire
+  for await (const conversation of conversationManager.iterateConversations(filters)) {
+    const chunk = format === 'csv'
+      ? toCsvRows(conversation, options)
+      : `${JSON.stringify(toJson(conversation, options))}\n`;
+
+    if (!res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  }
+
+  res.end();
+}));
+
+/**
+ * Liste les profils de prompt disponibles
+ * Les étudiants n'en voient que le nom et la description
+ * GET /api/prompts
+ */
+app.get('/api/prompts', validateRequest(SCHEMAS.listPrompts), asyncHandler(async (req, res) => {
+  const profiles = await promptProfiles.list();
+
+  res.json({
+    success: true,
+    promptTypes: profiles.map(p => p.id),
+    descriptions: Object.fromEntries(profiles.map(p => [p.id, p.description])),
+    profiles: req.user.role === ROLES.TEACHER
+      ? profiles
+      : profiles.map(({ id, name, description }) => ({ id, name, description })),
+  });
+}));
+
+/**
+ * Crée un profil de prompt
+ * POST /api/prompts
+ * Body: { id, name, description?, systemPrompt, defaultModel?, temperature?, maxTokens? }
+ */
+app.post('/api/prompts', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.createPrompt), asyncHandler(async (req, res) => {
+  const profile = await promptProfiles.create(req.body);
+  if (!profile) {
+    throw new ApiError('PROFILE_EXISTS');
+  }
+
+  res.status(201).json({
+    success: true,
+    profile,
+  });
+}));
+
+/**
+ * Récupère un profil de prompt avec l'historique de ses versions
+ * GET /api/prompts/:profileId
+ */
+app.get('/api/prompts/:profileId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.getPrompt), asyncHandler(async (req, res) => {
+  const profile = await promptProfiles.get(req.params.profileId);
+  if (!profile) {
+    throw new ApiError('PROFILE_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    profile,
+  });
+}));
+
+/**
+ * Met à jour un profil de prompt (crée une nouvelle version)
+ * Les sessions déjà ouvertes gardent le prompt système de leur création
+ * PUT /api/prompts/:profileId
+ * Body: champs à modifier (sauf id)
+ */
+app.put('/api/prompts/:profileId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.updatePrompt), asyncHandler(async (req, res) => {
+  const profile = await promptProfiles.update(req.params.profileId, req.body);
+  if (!profile) {
+    throw new ApiError('PROFILE_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    profile,
+  });
+}));
+
+/**
+ * Supprime un profil de prompt (hors profils intégrés et profils utilisés par un TP)
+ * DELETE /api/prompts/:profileId
+ */
+app.delete('/api/prompts/:profileId', requireRole(ROLES.TEACHER), validateRequest(SCHEMAS.deletePrompt), asyncHandler(async (req, res) => {
+  const profile = await promptProfiles.get(req.params.profileId);
+  if (!profile) {
+    throw new ApiError('PROFILE_NOT_FOUND');
+  }
+
+  if (profile.builtIn) {
+    throw new ApiError('PROFILE_BUILT_IN');
+  }
+
+  const tps = await tpCatalog.list();
+  const usedBy = tps.filter(tp => tp.promptType === profile.id).map(tp => tp.id);
+  if (usedBy.length > 0) {
+    throw new ApiError('PROFILE_IN_USE', { tps: usedBy });
+  }
+
+  await promptProfiles.delete(profile.id);
+
+  res.json({
+    success: true,
+    message: 'Profil de prompt supprimé',
+  });
+}));
+
+// Route inconnue : 404 JSON (ROUTE_NOT_FOUND)
+app.use(notFound);
+
+// Gestion centralisée des erreurs (doit rester le dernier middleware)
+app.use(errorHandler);
 
-// Nettoyage automatique des conversations inactives toutes les 30 minutes
-// Note: désactivé en environnement serverless (Vercel)
+// Cycle de vie des sessions : en local, appliqué périodiquement ; en serverless,
+// à la lecture de chaque session et par la route /api/cron/sessions
 if (process.env.NODE_ENV !== 'production') {
-  setInterval(() => {
-    const deleted = conversationManager.cleanupInactive(60);
-    if (deleted > 0) {
-      console.log(`[Cleanup] ${deleted} conversation(s) inactive(s) supprimée(s)`);
+  setInterval(async () => {
+    try {
+      const { archived, purged } = await conversationManager.sweep();
+      if (archived > 0 || purged > 0) {
+        logger.info('Cycle de vie des sessions appliqué', { archived, purged });
+      }
+    } catch (error) {
+      logger.error('Erreur cycle de vie des sessions', { error });
     }
   }, 30 * 60 * 1000);
 }
@@ -349,10 +1626,10 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`\n🚀 Serveur Bot TP démarré sur le port ${PORT}`);
     console.log(`📍 URL: http://localhost:${PORT}`);
     console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`🤖 OpenAI configuré: ${openaiService.isConfigured() ? '✅' : '❌'}\n`);
+    console.log(`🤖 Modèle (${openaiService.describe().provider}) configuré: ${openaiService.isConfigured() ? '✅' : '❌'}\n`);
 
     if (!openaiService.isConfigured()) {
-      console.warn('⚠️  ATTENTION: Clé API OpenAI non configurée!');
+      console.warn('⚠️  ATTENTION: Fournisseur de modèle non configuré (clé API OpenAI ou LLM_BASE_URL)!');
       console.warn('   Copiez .env.example vers .env et ajoutez votre clé API\n');
     }
   });
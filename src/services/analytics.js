@@ -0,0 +1,233 @@
+import dotenv from 'dotenv';
+import openaiService from './openaiService.js';
+import usageTracker from './usageTracker.js';
+import { summarizeFeedback, aggregateFeedback, ratedMessages } from './feedback.js';
+import { summarizeHints, aggregateHints } from './hintLadder.js';
+import { summarizeChecks } from './exercises.js';
+import { getLifecycle } from './sessionLifecycle.js';
+
+dotenv.config();
+
+/**
+ * Statistiques agrégées pour le tableau de bord enseignant
+ * Calculées à partir des conversations filtrées et de la consommation de tokens
+ */
+
+const TIMEZONE = process.env.DASHBOARD_TIMEZONE || 'Europe/Paris';
+const TOP_TOPICS = 10;
+const MODEL_TOPICS_SAMPLE = 60; // Questions envoyées au modèle pour le regroupement
+
+// Modes dont le message « utilisateur » est généré par le serveur (rapport de tests,
+// fichiers soumis, demande d'indice) et non rédigé par l'étudiant
+const GENERATED_MODES = new Set(['check', 'code-review', 'hint']);
+
+// Mots vides (français et termes génériques de programmation) ignorés par l'extraction
+const STOPWORDS = new Set(`
+a ai alors au aucun aussi autre aux avec avoir bon c ca ça ce cela celle celui ces cet cette
+ceux chaque ci comme comment d dans de des deux doit donc dont du elle elles en encore est et
+etre être eu fait faire faut fois ici il ils j je jusqu l la le les leur leurs lui m ma mais me
+même mes moi mon n ne ni non nos notre nous on ou où par parce pas peu peut plus pour pourquoi
+qu quand que quel quelle quelles quels qui quoi s sa sans se ses si sien son sont sous sur t ta
+te tes toi ton tous tout toute toutes tu un une vos votre vous y faut veux voudrais peux
+merci bonjour salut svp stp aide aider besoin problème probleme question code marche fonctionne
+the is to of and in it how what why
+`.split(/\s+/).filter(Boolean));
+
+/**
+ * Extrait les mots significatifs d'un message
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractKeywords(text) {
+  return String(text)
+    .replace(/```[\s\S]*?```/g, ' ') // Le code collé n'est pas un sujet
+    .toLowerCase()
+    .split(/[^a-zà-ÿ0-9_+#.]+/i)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Sujets les plus fréquents par extraction de mots-clés
+ * @param {Array<string>} questions - Messages des étudiants
+ * @returns {Object} - { method: 'keywords', items: [{ topic, count }] }
+ */
+function keywordTopics(questions) {
+  const counts = new Map();
+
+  for (const question of questions) {
+    // Un mot ne compte qu'une fois par question
+    for (const word of new Set(extractKeywords(question))) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  const items = Array.from(counts, ([topic, count]) => ({ topic, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_TOPICS);
+
+  return { method: 'keywords', items };
+}
+
+/**
+ * Sujets les plus fréquents regroupés par le modèle
+ * Retombe sur l'extraction de mots-clés si le modèle échoue
+ * @param {Array<string>} questions - Messages des étudiants
+ * @returns {Promise<Object>} - { method, items: [{ topic, count, examples? }] }
+ */
+async function modelTopics(questions) {
+  if (questions.length === 0 || !openaiService.isConfigured()) {
+    return keywordTopics(questions);
+  }
+
+  const sample = questions.slice(-MODEL_TOPICS_SAMPLE).map(q => q.slice(0, 300));
+  const response = await openaiService.chat([{
+    role: 'user',
+    content: `Voici des questions posées par des étudiants pendant un TP :\n\n${sample.map((q, i) => `${i + 1}. ${q}`).join('\n')}\n\nRegroupe-les par thème. Réponds uniquement avec un objet JSON de la forme {"topics": [{"topic": string, "count": number, "examples": [string]}]}, au plus ${TOP_TOPICS} thèmes, triés par nombre de questions décroissant.`,
+  }], { responseFormat: 'json_object', temperature: 0.2 });
+
+  if (response.success) {
+    try {
+      const { topics } = JSON.parse(response.message);
+      if (Array.isArray(topics)) {
+        const items = topics
+          .filter(t => t && typeof t.topic === 'string')
+          .slice(0, TOP_TOPICS)
+          .map(t => ({
+            topic: t.topic,
+            count: Number(t.count) || 0,
+            examples: Array.isArray(t.examples) ? t.examples.slice(0, 3) : [],
+          }));
+        return { method: 'model', items };
+      }
+    } catch {
+      // Réponse non JSON : on retombe sur les mots-clés
+    }
+  }
+
+  return keywordTopics(questions);
+}
+
+/**
+ * Indique si un message est une question posée par l'étudiant au chat
+ * Les demandes générées et les messages refusés par la modération sont exclus
+ * @param {Object} message - Message de la conversation
+ * @returns {boolean}
+ */
+function isStudentQuestion(message) {
+  return message.role === 'user'
+    && !GENERATED_MODES.has(message.mode)
+    && message.moderation !== 'blocked';
+}
+
+/**
+ * Heure locale (0-23) d'un horodatage
+ * @param {string} timestamp - Date ISO
+ * @returns {number}
+ */
+function localHour(timestamp) {
+  const parts = new Intl.DateTimeFormat('fr-FR', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: TIMEZONE,
+  }).formatToParts(new Date(timestamp));
+  return Number(parts.find(p => p.type === 'hour').value);
+}
+
+/**
+ * Résumé d'une conversation pour les listes du tableau de bord
+ * @param {Object} conversation - Conversation complète
+ * @returns {Promise<Object>}
+ */
+export async function summarizeSession(conversation) {
+  const { userId, classId, tpId, tpVersion, promptType, flagged = false } = conversation.metadata || {};
+  const usage = await usageTracker.getSessionUsage(conversation.id);
+
+  return {
+    sessionId: conversation.id,
+    userId,
+    classId,
+    tpId,
+    tpVersion,
+    promptType,
+    createdAt: conversation.createdAt,
+    lastActivity: conversation.lastActivity,
+    state: getLifecycle(conversation).state,
+    archivedAt: conversation.archivedAt || null,
+    userMessages: conversation.messages.filter(isStudentQuestion).length,
+    assistantMessages: conversation.messages.filter(m => m.role === 'assistant').length,
+    totalTokens: usage.totalTokens,
+    flagged,
+    feedback: summarizeFeedback(ratedMessages(conversation)),
+    hintLevel: summarizeHints(conversation.hints).maxLevel,
+    exercisesPassed: summarizeChecks(conversation.checks).exercisesPassed,
+  };
+}
+
+/**
+ * Calcule les statistiques agrégées d'un ensemble de conversations
+ * @param {Array} conversations - Conversations filtrées
+ * @param {Object} options - { topics: 'keywords' | 'model' }
+ * @returns {Promise<Object>}
+ */
+export async function computeAnalytics(conversations, { topics = 'keywords' } = {}) {
+  const students = new Map();
+  const hours = Array(24).fill(0);
+  const questions = [];
+  let totalTokens = 0;
+
+  for (const conversation of conversations) {
+    const summary = await summarizeSession(conversation);
+    const userId = summary.userId || 'inconnu';
+    const student = students.get(userId) || {
+      userId,
+      classId: summary.classId,
+      sessions: 0,
+      messages: 0,
+      totalTokens: 0,
+      lastActivity: null,
+    };
+
+    student.sessions += 1;
+    student.messages += summary.userMessages;
+    student.totalTokens += summary.totalTokens;
+    if (!student.lastActivity || summary.lastActivity > student.lastActivity) {
+      student.lastActivity = summary.lastActivity;
+    }
+    students.set(userId, student);
+    totalTokens += summary.totalTokens;
+
+    for (const message of conversation.messages) {
+      if (isStudentQuestion(message)) {
+        hours[localHour(message.timestamp)] += 1;
+        questions.push(message.content);
+      }
+    }
+  }
+
+  const perStudent = Array.from(students.values()).sort((a, b) => b.messages - a.messages);
+  const peakHours = hours
+    .map((count, hour) => ({ hour, count }))
+    .filter(h => h.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    sessions: conversations.length,
+    activeStudents: perStudent.length,
+    totalMessages: questions.length,
+    averageMessagesPerStudent: perStudent.length ? +(questions.length / perStudent.length).toFixed(1) : 0,
+    totalTokens,
+    perStudent,
+    messagesByHour: hours,
+    peakHours: peakHours.slice(0, 3),
+    timezone: TIMEZONE,
+    topics: topics === 'model' ? await modelTopics(questions) : keywordTopics(questions),
+    feedback: aggregateFeedback(conversations),
+    hints: aggregateHints(conversations),
+  };
+}
+
+export default {
+  summarizeSession,
+  computeAnalytics,
+};
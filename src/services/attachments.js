@@ -0,0 +1,216 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Pièces jointes des messages de chat : fichiers texte/code et images
+ * Les fichiers sont envoyés en base64 (data) ou, pour le texte, en clair (content) ;
+ * ils sont enregistrés une fois sur la session et référencés par identifiant dans l'historique
+ */
+
+export const ATTACHMENT_LIMITS = {
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5,
+  maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_FILE_BYTES) || 2 * 1024 * 1024,
+  // Au-delà, le texte d'un fichier est tronqué avant d'être envoyé au modèle
+  maxTextChars: parseInt(process.env.ATTACHMENT_MAX_TEXT_CHARS) || 20000,
+  // Coût estimé d'une image dans la fenêtre de contexte
+  imageTokens: parseInt(process.env.ATTACHMENT_IMAGE_TOKENS) || 800,
+};
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const TEXT_TYPES = ['application/json', 'application/javascript', 'application/xml', 'application/x-sh', 'application/sql'];
+
+// Langage du bloc de code selon l'extension du fichier
+const LANGUAGES = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx',
+  py: 'python', java: 'java', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', go: 'go', rs: 'rust',
+  php: 'php', rb: 'ruby', kt: 'kotlin', swift: 'swift', sql: 'sql', sh: 'bash', html: 'html', css: 'css',
+  json: 'json', xml: 'xml', yml: 'yaml', yaml: 'yaml', md: 'markdown', txt: '', csv: 'csv', log: '',
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Nature d'un fichier selon son type MIME et son extension
+ * @param {string} type - Type MIME déclaré
+ * @param {string} extension - Extension du nom de fichier
+ * @returns {string|null} - 'image', 'text' ou null si non pris en charge
+ */
+function kindOf(type, extension) {
+  if (IMAGE_TYPES.includes(type)) {
+    return 'image';
+  }
+  if (type.startsWith('text/') || TEXT_TYPES.includes(type) || LANGUAGES[extension] !== undefined) {
+    return 'text';
+  }
+  return null;
+}
+
+/**
+ * Valide et normalise les pièces jointes d'un message
+ * @param {*} attachments - [{ name, type, data? (base64), content? (texte) }]
+ * @returns {Object} - { attachments, errors, tooLarge }
+ */
+export function parseAttachments(attachments) {
+  if (attachments === undefined) {
+    return { attachments: [], errors: [], tooLarge: false };
+  }
+
+  if (!Array.isArray(attachments)) {
+    return { attachments: [], errors: ['attachments doit être une liste'], tooLarge: false };
+  }
+
+  if (attachments.length > ATTACHMENT_LIMITS.maxFiles) {
+    return {
+      attachments: [],
+      errors: [`${attachments.length} pièces jointes (maximum ${ATTACHMENT_LIMITS.maxFiles})`],
+      tooLarge: true,
+    };
+  }
+
+  const errors = [];
+  const parsed = [];
+  let tooLarge = false;
+
+  attachments.forEach((file, index) => {
+    const label = `attachments[${index}]`;
+
+    if (!file || typeof file.name !== 'string' || !file.name || file.name.length > 255) {
+      errors.push(`${label}.name est requis (255 caractères au plus)`);
+      return;
+    }
+    if (typeof file.type !== 'string' || !file.type) {
+      errors.push(`${label}.type (type MIME) est requis`);
+      return;
+    }
+    if ((file.data === undefined) === (file.content === undefined)) {
+      errors.push(`${label} doit contenir data (base64) ou content (texte)`);
+      return;
+    }
+
+    const type = file.type.toLowerCase().split(';')[0].trim();
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    const kind = kindOf(type, extension);
+
+    if (!kind) {
+      errors.push(`${label} : type de fichier non pris en charge (${type})`);
+      return;
+    }
+    if (kind === 'image' && file.content !== undefined) {
+      errors.push(`${label} : une image doit être envoyée en base64 (data)`);
+      return;
+    }
+
+    let buffer;
+    if (file.data !== undefined) {
+      // Accepte aussi les data URL (data:image/png;base64,...)
+      const data = typeof file.data === 'string' ? file.data.replace(/^data:[^,]*,/, '').replace(/\s+/g, '') : null;
+      if (!data || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+        errors.push(`${label}.data n'est pas du base64 valide`);
+        return;
+      }
+      buffer = Buffer.from(data, 'base64');
+    } else if (typeof file.content === 'string') {
+      buffer = Buffer.from(file.content, 'utf8');
+    } else {
+      errors.push(`${label}.content doit être une chaîne`);
+      return;
+    }
+
+    if (buffer.length > ATTACHMENT_LIMITS.maxFileBytes) {
+      errors.push(`${label} : ${buffer.length} octets (maximum ${ATTACHMENT_LIMITS.maxFileBytes})`);
+      tooLarge = true;
+      return;
+    }
+
+    const attachment = {
+      id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: file.name,
+      type,
+      kind,
+      size: buffer.length,
+    };
+
+    if (kind === 'image') {
+      attachment.data = buffer.toString('base64');
+    } else {
+      const text = buffer.toString('utf8');
+      attachment.language = LANGUAGES[extension] || '';
+      attachment.content = text;
+      // Le fichier est conservé en entier ; seul l'extrait envoyé au modèle est tronqué
+      attachment.truncated = text.length > ATTACHMENT_LIMITS.maxTextChars;
+    }
+
+    parsed.push(attachment);
+  });
+
+  return { attachments: errors.length > 0 ? [] : parsed, errors, tooLarge };
+}
+
+/**
+ * Description d'une pièce jointe sans son contenu (historique, listes)
+ * @param {Object} attachment - Pièce jointe enregistrée
+ * @returns {Object}
+ */
+export function describeAttachment({ content, data, ...meta }) {
+  return meta;
+}
+
+/**
+ * Entoure un texte d'une clôture de code plus longue que celles qu'il contient
+ * @param {string} text - Contenu du fichier
+ * @param {string} language - Langage du bloc
+ * @returns {string}
+ */
+function fence(text, language) {
+  const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+/**
+ * Construit le contenu d'un message envoyé au modèle avec ses pièces jointes
+ * Les fichiers texte sont insérés dans des blocs de code ; les images deviennent
+ * des parties image si le modèle les prend en charge
+ * @param {string} text - Texte du message
+ * @param {Array} attachments - Pièces jointes résolues
+ * @param {Object} options - { vision: le modèle accepte les images }
+ * @returns {string|Array} - Texte, ou liste de parties [{type: 'text'|'image_url', ...}]
+ */
+export function buildMessageContent(text, attachments = [], { vision = false } = {}) {
+  if (attachments.length === 0) {
+    return text;
+  }
+
+  const blocks = [text];
+  const images = [];
+
+  for (const attachment of attachments) {
+    if (attachment.kind === 'text') {
+      const excerpt = attachment.content.slice(0, ATTACHMENT_LIMITS.maxTextChars);
+      const notice = excerpt.length < attachment.content.length
+        ? `\n[... fichier tronqué : ${excerpt.length} caractères transmis sur ${attachment.content.length}]`
+        : '';
+      blocks.push(`Fichier joint ${attachment.name} :\n\n${fence(excerpt, attachment.language)}${notice}`);
+    } else if (vision) {
+      images.push(attachment);
+    } else {
+      blocks.push(`[Image jointe non transmise : ${attachment.name}, le modèle ne prend pas en charge les images]`);
+    }
+  }
+
+  const body = blocks.join('\n\n');
+
+  if (images.length === 0) {
+    return body;
+  }
+
+  return [
+    { type: 'text', text: body },
+    ...images.map(image => ({
+      type: 'image_url',
+      image_url: { url: `data:${image.type};base64,${image.data}` },
+    })),
+  ];
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Service d'authentification
+ * Les utilisateurs (étudiants et enseignants) et leurs classes sont décrits
+ * dans un fichier roster local ; les jetons sont signés en HMAC-SHA256
+ * (format compatible JWT HS256)
+ */
+
+export const ROLES = {
+  STUDENT: 'student',
+  TEACHER: 'teacher',
+};
+
+/**
+ * Encode un objet en base64url
+ * @param {Object} data - Objet à encoder
+ * @returns {string}
+ */
+function encodeSegment(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+class AuthService {
+  constructor() {
+    this.rosterFile = path.resolve(process.env.ROSTER_FILE || './roster.json');
+    this.tokenTtlHours = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+    this.roster = null;
+
+    // En développement, un secret aléatoire suffit (les jetons expirent au redémarrage)
+    this.secret = process.env.AUTH_SECRET
+      || (process.env.NODE_ENV !== 'production' ? crypto.randomBytes(32).toString('hex') : null);
+  }
+
+  /**
+   * Vérifie que le service peut signer des jetons
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.secret;
+  }
+
+  /**
+   * Charge le roster (mis en cache après la première lecture)
+   * @returns {Promise<Object>} - { users: [...] }
+   */
+  async loadRoster() {
+    if (!this.roster) {
+      const raw = await fs.readFile(this.rosterFile, 'utf8');
+      const roster = JSON.parse(raw);
+      this.roster = { users: Array.isArray(roster.users) ? roster.users : [] };
+    }
+    return this.roster;
+  }
+
+  /**
+   * Hache un mot de passe pour le roster (format scrypt$sel$hash)
+   * @param {string} password - Mot de passe en clair
+   * @returns {string}
+   */
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Compare un mot de passe avec son empreinte
+   * @param {string} password - Mot de passe en clair
+   * @param {string} stored - Empreinte issue de hashPassword
+   * @returns {boolean}
+   */
+  static verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Vérifie les identifiants d'un utilisateur du roster
+   * @param {string} username - Identifiant
+   * @param {string} password - Mot de passe
+   * @returns {Promise<Object|null>} - Utilisateur (sans empreinte) ou null
+   */
+  async authenticate(username, password) {
+    const { users } = await this.loadRoster();
+    const user = users.find(u => u.id === username);
+
+    if (!user || !AuthService.verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /**
+   * Émet un jeton signé pour un utilisateur
+   * @param {Object} user - Utilisateur authentifié
+   * @returns {Object} - { token, expiresAt }
+   */
+  issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.round(this.tokenTtlHours * 3600);
+
+    const payload = {
+      sub: user.id,
+      name: user.name,
+      role: user.role,
+      classIds: user.role === ROLES.TEACHER ? (user.classIds || []) : [user.classId].filter(Boolean),
+      iat: now,
+      exp,
+    };
+
+    const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+
+    return {
+      token: `${unsigned}.${this.sign(unsigned)}`,
+      expiresAt: new Date(exp * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Vérifie un jeton et retourne l'utilisateur qu'il représente
+   * @param {string} token - Jeton reçu dans l'en-tête Authorization
+   * @returns {Object|null} - { id, name, role, classIds } ou null si invalide/expiré
+   */
+  verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3 || !this.isConfigured()) {
+      return null;
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+
+      return {
+        id: claims.sub,
+        name: claims.name,
+        role: claims.role,
+        classIds: claims.classIds || [],
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Signe une chaîne avec le secret du serveur
+   * @param {string} data - Données à signer
+   * @returns {string} - Signature base64url
+   */
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+}
+
+export { AuthService };
+
+export default new AuthService();
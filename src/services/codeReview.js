@@ -0,0 +1,129 @@
+import dotenv from 'dotenv';
+import { redact } from './solutionGuard.js';
+
+dotenv.config();
+
+/**
+ * Outils pour la revue de code : validation des fichiers soumis,
+ * lecture de la réponse structurée du modèle et rendu pour l'historique
+ */
+
+export const CODE_REVIEW_LIMITS = {
+  maxFiles: parseInt(process.env.CODE_REVIEW_MAX_FILES) || 10,
+  maxTotalChars: parseInt(process.env.CODE_REVIEW_MAX_CHARS) || 20000,
+};
+
+const FEEDBACK_SECTIONS = {
+  positives: 'Points positifs',
+  improvements: 'Axes d\'amélioration',
+  questions: 'Questions pour réfléchir',
+  resources: 'Ressources',
+};
+
+/**
+ * Valide les fichiers soumis pour une revue
+ * @param {Array} files - [{name, language, content}]
+ * @returns {Object} - { errors: Array<string>, tooLarge: boolean }
+ */
+export function validateSubmission(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return { errors: ['files doit être une liste non vide de fichiers'], tooLarge: false };
+  }
+
+  const errors = [];
+
+  files.forEach((file, index) => {
+    if (!file || typeof file.name !== 'string' || !file.name) {
+      errors.push(`files[${index}].name est requis`);
+    }
+    if (!file || typeof file.content !== 'string' || !file.content) {
+      errors.push(`files[${index}].content est requis`);
+    }
+    if (file && file.language !== undefined && typeof file.language !== 'string') {
+      errors.push(`files[${index}].language doit être une chaîne`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors, tooLarge: false };
+  }
+
+  if (files.length > CODE_REVIEW_LIMITS.maxFiles) {
+    return { errors: [`Au plus ${CODE_REVIEW_LIMITS.maxFiles} fichiers par revue`], tooLarge: true };
+  }
+
+  const totalChars = files.reduce((sum, f) => sum + f.content.length, 0);
+  if (totalChars > CODE_REVIEW_LIMITS.maxTotalChars) {
+    return {
+      errors: [`Le code soumis fait ${totalChars} caractères (maximum ${CODE_REVIEW_LIMITS.maxTotalChars})`],
+      tooLarge: true,
+    };
+  }
+
+  return { errors: [], tooLarge: false };
+}
+
+/**
+ * Lit la réponse JSON du modèle
+ * @param {string} raw - Texte retourné par le modèle
+ * @returns {Object|null} - { positives, improvements, questions, resources } ou null si invalide
+ */
+export function parseFeedback(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const feedback = {};
+  for (const key of Object.keys(FEEDBACK_SECTIONS)) {
+    const items = Array.isArray(data[key]) ? data[key] : [];
+    feedback[key] = items.filter(item => typeof item === 'string' && item.trim());
+  }
+
+  return feedback;
+}
+
+/**
+ * Rend un retour structuré en Markdown pour l'historique de la session
+ * @param {Object} feedback - Retour issu de parseFeedback
+ * @returns {string}
+ */
+export function feedbackToMarkdown(feedback) {
+  return Object.entries(FEEDBACK_SECTIONS)
+    .filter(([key]) => feedback[key].length > 0)
+    .map(([key, title]) => `### ${title}\n${feedback[key].map(item => `- ${item}`).join('\n')}`)
+    .join('\n\n');
+}
+
+/**
+ * Format de la revue pour le garde-fou anti-solution (services/solutionGuard) :
+ * le code est vérifié sur le retour rendu en Markdown et masqué dans chaque élément du JSON
+ */
+export const FEEDBACK_FORMAT = {
+  toText(raw) {
+    const feedback = parseFeedback(raw);
+    return feedback ? feedbackToMarkdown(feedback) : raw;
+  },
+  redact(raw, violations) {
+    const feedback = parseFeedback(raw);
+    if (!feedback) {
+      return redact(raw, violations);
+    }
+    return JSON.stringify(Object.fromEntries(Object.entries(feedback)
+      .map(([key, items]) => [key, items.map(item => redact(item, violations))])));
+  },
+};
+
+export default {
+  CODE_REVIEW_LIMITS,
+  validateSubmission,
+  parseFeedback,
+  feedbackToMarkdown,
+  FEEDBACK_FORMAT,
+};
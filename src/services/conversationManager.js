@@ -1,26 +1,97 @@
+import dotenv from 'dotenv';
+import { createStore } from './storage/index.js';
+import openaiService from './openaiService.js';
+import { PromptBuilder } from '../prompts/promptTemplates.js';
+import { summarizeFeedback, ratedMessages } from './feedback.js';
+import { ATTACHMENT_LIMITS, buildMessageContent } from './attachments.js';
+import { summarizeHints } from './hintLadder.js';
+import { summarizeChecks } from './exercises.js';
+import { SESSION_LIFECYCLE, getLifecycle, describeLifecycle } from './sessionLifecycle.js';
+
+dotenv.config();
+
+const CHARS_PER_TOKEN = 4; // Approximation courante pour les modèles GPT
+const SUMMARY_MAX_TOKENS = 400;
+
+/**
+ * Estime le nombre de tokens d'un texte
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN) + 4; // + surcoût par message
+}
+
+/**
+ * Estime le nombre de tokens d'un contenu de message (texte ou parties texte/image)
+ * @param {string|Array} content
+ * @returns {number}
+ */
+function contentTokens(content) {
+  if (!Array.isArray(content)) {
+    return estimateTokens(content);
+  }
+  return content.reduce((sum, part) => sum + (part.type === 'text'
+    ? estimateTokens(part.text)
+    : ATTACHMENT_LIMITS.imageTokens), 0);
+}
+
+/**
+ * Génère un identifiant de message stable (référencé par les avis des étudiants)
+ * @returns {string}
+ */
+function createMessageId() {
+  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Résume des échanges via le modèle
+ * @param {string} previousSummary - Résumé existant
+ * @param {Array} messages - Messages à intégrer
+ * @returns {Promise<Object|null>} - { content, usage } ou null en cas d'échec
+ */
+async function summarizeWithModel(previousSummary, messages) {
+  const response = await openaiService.chat(
+    [{ role: 'user', content: PromptBuilder.buildSummaryPrompt(previousSummary, messages) }],
+    { maxTokens: SUMMARY_MAX_TOKENS, temperature: 0.2 }
+  );
+  return response.success ? { content: response.message, usage: response.usage } : null;
+}
+
 /**
  * Gestionnaire d'historique de conversation
  * Maintient le contexte des échanges entre étudiants et le bot
  */
 
 class ConversationManager {
-  constructor() {
-    // Stockage en mémoire des conversations (utiliser une BDD en production)
-    this.conversations = new Map();
-    this.maxHistoryLength = 20; // Limite de messages par conversation
+  /**
+   * @param {Object} store - Adaptateur de stockage (voir services/storage)
+   * @param {Object} options - { maxContextTokens, summarize, lifecycle }
+   */
+  constructor(store, options = {}) {
+    // Stockage des conversations (mémoire, fichiers ou kv selon STORAGE_DRIVER) ;
+    // chaque lecture-modification-écriture se fait sous verrou (store.withLock)
+    this.store = store;
+    // Budget de tokens de l'historique envoyé au modèle (la transcription complète est conservée)
+    this.maxContextTokens = options.maxContextTokens || 6000;
+    // Résumé de l'historique : (résumé précédent, messages) => { content, usage } ou null
+    this.summarize = options.summarize || summarizeWithModel;
+    // Durées du cycle de vie des sessions (voir services/sessionLifecycle)
+    this.lifecycle = options.lifecycle || SESSION_LIFECYCLE;
   }
 
   /**
    * Initialise une nouvelle conversation
    * @param {string} sessionId - Identifiant unique de la session
    * @param {string} systemPrompt - Prompt système initial
-   * @returns {Object} - Conversation créée
+   * @returns {Promise<Object>} - Conversation créée
    */
-  createConversation(sessionId, systemPrompt) {
+  async createConversation(sessionId, systemPrompt) {
     const conversation = {
       id: sessionId,
       messages: [
         {
+          id: createMessageId(),
           role: 'system',
           content: systemPrompt,
           timestamp: new Date().toISOString(),
@@ -31,17 +102,76 @@ class ConversationManager {
       metadata: {},
     };
 
-    this.conversations.set(sessionId, conversation);
+    await this.store.set(sessionId, conversation);
     return conversation;
   }
 
   /**
-   * Récupère une conversation existante
+   * Récupère une conversation existante (les transitions dues du cycle de vie sont appliquées)
+   * @param {string} sessionId - Identifiant de la session
+   * @returns {Promise<Object|null>} - Conversation ou null si inexistante ou purgée
+   */
+  async getConversation(sessionId) {
+    const conversation = await this.store.get(sessionId);
+    return conversation ? this.applyLifecycle(conversation) : null;
+  }
+
+  /**
+   * Enregistre la transition due du cycle de vie d'une conversation :
+   * archivage après inactivité, ou purge à la fin de la durée de conservation
+   * @param {Object} conversation - Conversation lue dans le stockage
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Object|null>} - Conversation (éventuellement archivée) ou null si purgée
+   */
+  async applyLifecycle(conversation, now = new Date()) {
+    if (!getLifecycle(conversation, this.lifecycle, now).due) {
+      return conversation;
+    }
+
+    // Relit la conversation sous verrou : un message a pu la réactiver entre-temps
+    return this.store.withLock(conversation.id, async () => {
+      const current = await this.store.get(conversation.id);
+      if (!current) {
+        return null;
+      }
+
+      const { due, archivedAt } = getLifecycle(current, this.lifecycle, now);
+
+      if (due === 'purge') {
+        await this.store.delete(current.id);
+        return null;
+      }
+
+      if (due === 'archive') {
+        current.archivedAt = archivedAt;
+        await this.store.set(current.id, current);
+      }
+
+      return current;
+    });
+  }
+
+  /**
+   * Reprend une conversation archivée : elle redevient active et modifiable
    * @param {string} sessionId - Identifiant de la session
-   * @returns {Object|null} - Conversation ou null si inexistante
+   * @returns {Promise<Object|null>} - Conversation reprise ou null si inexistante
    */
-  getConversation(sessionId) {
-    return this.conversations.get(sessionId) || null;
+  async resumeConversation(sessionId) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      delete conversation.archivedAt;
+      conversation.resumedAt = now;
+      conversation.lastActivity = now;
+
+      await this.store.set(sessionId, conversation);
+      return conversation;
+    });
   }
 
   /**
@@ -49,148 +179,637 @@ class ConversationManager {
    * @param {string} sessionId - Identifiant de la session
    * @param {string} role - Rôle (user, assistant, system)
    * @param {string} content - Contenu du message
-   * @returns {boolean} - Succès de l'opération
+   * @param {Object} extra - Champs additionnels enregistrés avec le message (ex: mode)
+   * @returns {Promise<Object|null>} - Message enregistré (avec son id) ou null si la session n'existe pas
    */
-  addMessage(sessionId, role, content) {
-    const conversation = this.conversations.get(sessionId);
+  async addMessage(sessionId, role, content, extra = {}) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
 
-    if (!conversation) {
-      return false;
-    }
+      if (!conversation) {
+        return null;
+      }
 
-    conversation.messages.push({
-      role,
-      content,
-      timestamp: new Date().toISOString(),
+      const message = {
+        id: createMessageId(),
+        role,
+        content,
+        ...extra,
+        timestamp: new Date().toISOString(),
+      };
+      conversation.messages.push(message);
+
+      conversation.lastActivity = new Date().toISOString();
+
+      await this.store.set(sessionId, conversation);
+      return message;
     });
+  }
 
-    conversation.lastActivity = new Date().toISOString();
+  /**
+   * Enregistre l'avis d'un étudiant sur un message (remplace l'avis précédent)
+   * @param {string} sessionId - Identifiant de la session
+   * @param {string} messageId - Identifiant du message
+   * @param {Object} feedback - { rating, category?, comment? }
+   * @returns {Promise<Object|null>} - Avis enregistré ou null si le message n'existe pas
+   */
+  async rateMessage(sessionId, messageId, feedback) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+      const message = conversation?.messages.find(m => m.id === messageId);
 
-    // Limite la taille de l'historique (garde toujours le message system)
-    if (conversation.messages.length > this.maxHistoryLength) {
-      const systemMessage = conversation.messages[0];
-      conversation.messages = [
-        systemMessage,
-        ...conversation.messages.slice(-this.maxHistoryLength + 1),
-      ];
-    }
+      if (!message) {
+        return null;
+      }
+
+      message.feedback = {
+        rating: feedback.rating,
+        category: feedback.category || null,
+        comment: feedback.comment || null,
+        ratedAt: new Date().toISOString(),
+      };
 
-    return true;
+      await this.store.set(sessionId, conversation);
+      return message.feedback;
+    });
   }
 
   /**
    * Récupère l'historique des messages pour l'API OpenAI
+   * Seuls les messages les plus récents tenant dans maxContextTokens sont envoyés ;
+   * les échanges plus anciens sont remplacés par un résumé injecté après le prompt système
    * @param {string} sessionId - Identifiant de la session
-   * @returns {Array} - Messages formatés pour OpenAI
+   * @param {Array} pending - Messages pas encore enregistrés à ajouter en fin de fenêtre
+   * @param {Object} options - { upTo } : ne garde que les messages d'index inférieur
+   *   (réponse construite sur un point antérieur de la conversation, avant création d'une branche) ;
+   *   { vision } : les images jointes sont envoyées au modèle (sinon simplement signalées)
+   * @returns {Promise<Object>} - { messages, usage } : messages formatés pour OpenAI et
+   *   consommation du résumé s'il a fallu appeler le modèle (null sinon), à comptabiliser par l'appelant
    */
-  getMessages(sessionId) {
-    const conversation = this.conversations.get(sessionId);
+  async getMessages(sessionId, pending = [], { upTo, vision = false } = {}) {
+    const conversation = await this.store.get(sessionId);
 
     if (!conversation) {
-      return [];
+      return { messages: [], usage: null };
     }
 
-    return conversation.messages.map(msg => ({
+    // Les échanges refusés par la modération ne sont jamais renvoyés au modèle
+    const transcript = upTo === undefined ? conversation.messages : conversation.messages.slice(0, upTo);
+    const [systemMessage, ...allMessages] = transcript;
+    const history = allMessages.filter(msg => msg.moderation !== 'blocked');
+    const system = { role: systemMessage.role, content: systemMessage.content };
+    const turns = [...history, ...pending].map(msg => ({
       role: msg.role,
-      content: msg.content,
+      content: buildMessageContent(
+        msg.content,
+        ConversationManager.resolveAttachments(conversation, msg.attachments),
+        { vision }
+      ),
     }));
+
+    // Remonte depuis le message le plus récent tant que le budget le permet
+    const windowBudget = this.maxContextTokens - estimateTokens(system.content) - SUMMARY_MAX_TOKENS;
+    let used = 0;
+    let start = turns.length;
+    while (start > 0 && used + contentTokens(turns[start - 1].content) <= windowBudget) {
+      used += contentTokens(turns[start - 1].content);
+      start--;
+    }
+
+    // Un message trop long à lui seul (gros copier-coller de code) est tronqué
+    if (start === turns.length && turns.length > 0) {
+      const last = turns[turns.length - 1];
+      const images = Array.isArray(last.content) ? last.content.filter(part => part.type !== 'text') : [];
+      const text = Array.isArray(last.content) ? last.content[0].text : last.content;
+      const maxChars = Math.max(0, (windowBudget - 4 - images.length * ATTACHMENT_LIMITS.imageTokens) * CHARS_PER_TOKEN);
+      const truncated = `${text.slice(0, maxChars)}\n\n[... message tronqué, trop long pour le contexte]`;
+      turns[turns.length - 1] = {
+        ...last,
+        content: images.length > 0 ? [{ type: 'text', text: truncated }, ...images] : truncated,
+      };
+      used = windowBudget;
+      start = turns.length - 1;
+    }
+
+    // Un résumé couvrant des messages au-delà de upTo ne s'applique pas
+    const summary = conversation.summary && conversation.summary.coveredCount <= history.length
+      ? { ...conversation.summary }
+      : { content: '', coveredCount: 0 };
+
+    let usage = null;
+    if (start > summary.coveredCount) {
+      // Quand il faut résumer, on libère la moitié du budget d'un coup pour ne pas
+      // rappeler le modèle à chaque nouveau message
+      while (start < history.length && start < turns.length - 1 && used > windowBudget / 2) {
+        used -= contentTokens(turns[start].content);
+        start++;
+      }
+
+      const result = await this.summarize(summary.content, history.slice(summary.coveredCount, start));
+      if (result) {
+        usage = result.usage || null;
+        summary.content = result.content;
+        summary.coveredCount = start;
+        await this.saveSummary(sessionId, summary);
+      }
+    }
+
+    // Les messages déjà couverts par le résumé ne sont jamais renvoyés en double
+    start = Math.max(start, summary.coveredCount);
+    const summaryMessages = summary.content
+      ? [{ role: 'system', content: `Résumé des échanges précédents avec l'étudiant : ${summary.content}` }]
+      : [];
+
+    return { messages: [system, ...summaryMessages, ...turns.slice(start)], usage };
+  }
+
+  /**
+   * Enregistre le résumé glissant des messages sortis de la fenêtre de contexte
+   * @param {string} sessionId - Identifiant de la session
+   * @param {Object} summary - { content, coveredCount }
+   * @returns {Promise<void>}
+   */
+  async saveSummary(sessionId, summary) {
+    return this.store.withLock(sessionId, async () => {
+      // Relit la conversation pour ne pas écraser un message ajouté entre-temps
+      const conversation = await this.store.get(sessionId);
+      if (conversation) {
+        conversation.summary = {
+          content: summary.content,
+          coveredCount: summary.coveredCount,
+          updatedAt: new Date().toISOString(),
+        };
+        await this.store.set(sessionId, conversation);
+      }
+    });
   }
 
   /**
    * Met à jour les métadonnées d'une conversation
    * @param {string} sessionId - Identifiant de la session
    * @param {Object} metadata - Métadonnées à ajouter
-   * @returns {boolean} - Succès de l'opération
+   * @returns {Promise<boolean>} - Succès de l'opération
    */
-  updateMetadata(sessionId, metadata) {
-    const conversation = this.conversations.get(sessionId);
+  async updateMetadata(sessionId, metadata) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
 
-    if (!conversation) {
-      return false;
+      if (!conversation) {
+        return false;
+      }
+
+      conversation.metadata = {
+        ...conversation.metadata,
+        ...metadata,
+      };
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Journalise une intervention (garde-fou, modération...) pour l'audit enseignant
+   * @param {string} sessionId - Identifiant de la session
+   * @param {Object} intervention - { timestamp, rules, action, ... }
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async logIntervention(sessionId, intervention) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return false;
+      }
+
+      conversation.interventions = [...(conversation.interventions || []), intervention];
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Enregistre le niveau d'indice atteint pour un exercice
+   * La progression est conservée par la réinitialisation de la conversation
+   * @param {string} sessionId - Identifiant de la session
+   * @param {string} exerciseId - Identifiant de l'exercice
+   * @param {number} level - Niveau atteint
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async recordHint(sessionId, exerciseId, level) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return false;
+      }
+
+      conversation.hints = {
+        ...conversation.hints,
+        [exerciseId]: { level, updatedAt: new Date().toISOString() },
+      };
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Enregistre le résultat d'une vérification automatique d'exercice
+   * Comme les indices, la progression est conservée par la réinitialisation
+   * @param {string} sessionId - Identifiant de la session
+   * @param {string} exerciseId - Identifiant de l'exercice
+   * @param {Object} grading - Résultat de gradeResults { passed, total, allPassed }
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async recordCheck(sessionId, exerciseId, { passed, total, allPassed }) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      const previous = conversation.checks?.[exerciseId];
+      conversation.checks = {
+        ...conversation.checks,
+        [exerciseId]: {
+          attempts: (previous?.attempts || 0) + 1,
+          passed,
+          total,
+          passedAt: previous?.passedAt || (allPassed ? now : null),
+          updatedAt: now,
+        },
+      };
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Enregistre des pièces jointes sur la session ; les messages ne gardent que leurs identifiants
+   * @param {string} sessionId - Identifiant de la session
+   * @param {Array} attachments - Pièces jointes normalisées (voir services/attachments)
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async addAttachments(sessionId, attachments) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return false;
+      }
+
+      const createdAt = new Date().toISOString();
+      conversation.attachments = conversation.attachments || {};
+      for (const attachment of attachments) {
+        conversation.attachments[attachment.id] = { ...attachment, createdAt };
+      }
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Retrouve les pièces jointes d'un message
+   * @param {Object} conversation - Conversation
+   * @param {Array} refs - Identifiants enregistrés ou pièces jointes pas encore enregistrées
+   * @returns {Array} - Pièces jointes (les identifiants inconnus sont ignorés)
+   */
+  static resolveAttachments(conversation, refs = []) {
+    return refs
+      .map(ref => (typeof ref === 'string' ? conversation.attachments?.[ref] : ref))
+      .filter(Boolean);
+  }
+
+  /**
+   * Initialise les branches d'une conversation qui n'en a pas encore (branche « main »)
+   * La branche active est toujours celle de conversation.messages ; les autres
+   * conservent leur propre transcription et leur résumé
+   * @param {Object} conversation - Conversation (modifiée en place)
+   */
+  static ensureBranches(conversation) {
+    if (!conversation.branches) {
+      conversation.branches = {
+        main: { id: 'main', parentId: null, forkedFrom: null, createdAt: conversation.createdAt },
+      };
+      conversation.activeBranch = 'main';
     }
+  }
 
-    conversation.metadata = {
-      ...conversation.metadata,
-      ...metadata,
+  /**
+   * Range la branche active avec ses messages et son résumé
+   * @param {Object} conversation - Conversation (modifiée en place)
+   */
+  static stashActiveBranch(conversation) {
+    ConversationManager.ensureBranches(conversation);
+    conversation.branches[conversation.activeBranch] = {
+      ...conversation.branches[conversation.activeBranch],
+      messages: conversation.messages,
+      summary: conversation.summary || null,
     };
+  }
+
+  /**
+   * Crée une branche à partir d'un point de la conversation et l'active
+   * La branche d'origine reste intacte et consultable
+   * @param {string} sessionId - Identifiant de la session
+   * @param {number} forkAt - Index du premier message remplacé (les messages précédents sont repris)
+   * @param {Array} newMessages - Messages de la nouvelle branche [{ role, content, ...extra }]
+   * @returns {Promise<Object|null>} - { branchId, messages } ou null si la session n'existe pas
+   */
+  async forkConversation(sessionId, forkAt, newMessages) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const parentId = conversation.activeBranch || 'main';
+      const forkedFrom = conversation.messages[forkAt]?.id || null;
+      const prefix = conversation.messages.slice(0, forkAt);
+      const messages = newMessages.map(({ role, content, ...extra }) => ({
+        id: createMessageId(),
+        role,
+        content,
+        ...extra,
+        timestamp: now,
+      }));
+
+      ConversationManager.stashActiveBranch(conversation);
+
+      const branchId = `branch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      conversation.branches[branchId] = { id: branchId, parentId, forkedFrom, createdAt: now };
+      conversation.activeBranch = branchId;
+      conversation.messages = [...prefix, ...messages];
+
+      // Le résumé n'est conservé que s'il ne couvre que des messages repris
+      const kept = prefix.slice(1).filter(m => m.moderation !== 'blocked').length;
+      if (conversation.summary && conversation.summary.coveredCount > kept) {
+        delete conversation.summary;
+      }
+
+      conversation.lastActivity = now;
+
+      await this.store.set(sessionId, conversation);
+      return { branchId, messages };
+    });
+  }
+
+  /**
+   * Active une autre branche de la conversation
+   * @param {string} sessionId - Identifiant de la session
+   * @param {string} branchId - Branche à activer
+   * @returns {Promise<boolean|null>} - true si activée, false si la branche n'existe pas, null sans session
+   */
+  async switchBranch(sessionId, branchId) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
+
+      if (!conversation) {
+        return null;
+      }
+
+      ConversationManager.ensureBranches(conversation);
+
+      if (!conversation.branches[branchId]) {
+        return false;
+      }
+
+      if (branchId !== conversation.activeBranch) {
+        ConversationManager.stashActiveBranch(conversation);
+
+        const { messages, summary, ...branch } = conversation.branches[branchId];
+        conversation.branches[branchId] = branch;
+        conversation.messages = messages;
+        if (summary) {
+          conversation.summary = summary;
+        } else {
+          delete conversation.summary;
+        }
+        conversation.activeBranch = branchId;
+      }
+
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Liste les branches d'une conversation
+   * @param {Object} conversation - Conversation complète
+   * @returns {Array} - [{ id, parentId, forkedFrom, createdAt, messageCount, lastMessageAt, active }]
+   */
+  static listBranches(conversation) {
+    const branches = conversation.branches
+      || { main: { id: 'main', parentId: null, forkedFrom: null, createdAt: conversation.createdAt } };
+    const active = conversation.activeBranch || 'main';
 
-    return true;
+    return Object.values(branches).map(({ messages: stashed, summary, ...branch }) => {
+      const messages = branch.id === active ? conversation.messages : stashed;
+      return {
+        ...branch,
+        messageCount: messages.length - 1, // Exclut le message system
+        lastMessageAt: messages[messages.length - 1].timestamp,
+        active: branch.id === active,
+      };
+    });
+  }
+
+  /**
+   * Messages d'une branche (la branche active par défaut)
+   * @param {Object} conversation - Conversation complète
+   * @param {string} branchId - Branche demandée
+   * @returns {Array|null} - Messages ou null si la branche n'existe pas
+   */
+  static getBranchMessages(conversation, branchId) {
+    if (!branchId || branchId === (conversation.activeBranch || 'main')) {
+      return conversation.messages;
+    }
+    return conversation.branches?.[branchId]?.messages || null;
   }
 
   /**
    * Supprime une conversation
    * @param {string} sessionId - Identifiant de la session
-   * @returns {boolean} - Succès de l'opération
+   * @returns {Promise<boolean>} - Succès de l'opération
    */
-  deleteConversation(sessionId) {
-    return this.conversations.delete(sessionId);
+  async deleteConversation(sessionId) {
+    return this.store.delete(sessionId);
   }
 
   /**
-   * Réinitialise une conversation en gardant le prompt système
+   * Réinitialise une conversation en gardant le prompt système (les branches sont effacées)
    * @param {string} sessionId - Identifiant de la session
-   * @returns {boolean} - Succès de l'opération
+   * @returns {Promise<boolean>} - Succès de l'opération
    */
-  resetConversation(sessionId) {
-    const conversation = this.conversations.get(sessionId);
+  async resetConversation(sessionId) {
+    return this.store.withLock(sessionId, async () => {
+      const conversation = await this.store.get(sessionId);
 
-    if (!conversation) {
-      return false;
-    }
+      if (!conversation) {
+        return false;
+      }
+
+      const systemMessage = conversation.messages[0];
+      conversation.messages = [systemMessage];
+      delete conversation.summary;
+      delete conversation.attachments;
+      delete conversation.branches;
+      delete conversation.activeBranch;
+      conversation.lastActivity = new Date().toISOString();
 
-    const systemMessage = conversation.messages[0];
-    conversation.messages = [systemMessage];
-    conversation.lastActivity = new Date().toISOString();
+      await this.store.set(sessionId, conversation);
+      return true;
+    });
+  }
+
+  /**
+   * Applique le cycle de vie à toutes les conversations (route de maintenance, minuteur local)
+   * Les conversations sont lues une à une pour ne pas toutes les charger en mémoire
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Object>} - { checked, archived, purged }
+   */
+  async sweep(now = new Date()) {
+    const counts = { checked: 0, archived: 0, purged: 0 };
+
+    for (const key of await this.store.keys()) {
+      const conversation = await this.store.get(key);
+      if (!conversation) {
+        continue;
+      }
 
-    return true;
+      const wasArchived = !!conversation.archivedAt;
+      const result = await this.applyLifecycle(conversation, now);
+      counts.checked++;
+      if (!result) {
+        counts.purged++;
+      } else if (!wasArchived && result.archivedAt) {
+        counts.archived++;
+      }
+    }
+
+    return counts;
   }
 
   /**
-   * Nettoie les conversations inactives (utile pour libérer la mémoire)
-   * @param {number} maxInactiveMinutes - Minutes d'inactivité avant suppression
-   * @returns {number} - Nombre de conversations supprimées
+   * Liste les conversations correspondant à des filtres
+   * @param {Object} filters - { tpId, classIds, userId, from, to, activeSince, flagged, archived }
+   *   classIds : liste des classes autorisées ; from/to : bornes de création ;
+   *   activeSince : date minimale de dernière activité ; flagged : signalée pour revue ;
+   *   archived : archivée ou non (toutes si absent)
+   * @returns {Promise<Array>} - Conversations complètes, les plus récentes d'abord
    */
-  cleanupInactive(maxInactiveMinutes = 60) {
-    const now = new Date();
-    let deletedCount = 0;
+  async listConversations(filters = {}) {
+    const conversations = [];
+    for (const conversation of await this.store.values()) {
+      const current = await this.applyLifecycle(conversation);
+      if (current) {
+        conversations.push(current);
+      }
+    }
 
-    for (const [sessionId, conversation] of this.conversations.entries()) {
-      const lastActivity = new Date(conversation.lastActivity);
-      const inactiveMinutes = (now - lastActivity) / (1000 * 60);
+    return conversations
+      .filter(c => ConversationManager.matches(c, filters))
+      .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+  }
 
-      if (inactiveMinutes > maxInactiveMinutes) {
-        this.conversations.delete(sessionId);
-        deletedCount++;
+  /**
+   * Parcourt une à une les conversations correspondant à des filtres,
+   * sans les charger toutes en mémoire (exports volumineux)
+   * @param {Object} filters - Mêmes filtres que listConversations
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *iterateConversations(filters = {}) {
+    for (const key of await this.store.keys()) {
+      const conversation = await this.getConversation(key);
+      if (conversation && ConversationManager.matches(conversation, filters)) {
+        yield conversation;
       }
     }
+  }
 
-    return deletedCount;
+  /**
+   * Indique si une conversation correspond aux filtres
+   * @param {Object} conversation - Conversation complète
+   * @param {Object} filters - { tpId, classIds, userId, from, to, activeSince, flagged, archived }
+   * @returns {boolean}
+   */
+  static matches(conversation, { tpId, classIds, userId, from, to, activeSince, flagged, archived } = {}) {
+    const metadata = conversation.metadata || {};
+
+    return (!tpId || metadata.tpId === tpId)
+      && (!classIds || classIds.includes(metadata.classId))
+      && (!userId || metadata.userId === userId)
+      && (!from || new Date(conversation.createdAt) >= from)
+      && (!to || new Date(conversation.createdAt) <= to)
+      && (!activeSince || new Date(conversation.lastActivity) >= activeSince)
+      && (flagged === undefined || !!metadata.flagged === flagged)
+      && (archived === undefined || !!conversation.archivedAt === archived);
   }
 
   /**
    * Récupère les statistiques d'une conversation
    * @param {string} sessionId - Identifiant de la session
-   * @returns {Object|null} - Statistiques ou null
+   * @returns {Promise<Object|null>} - Statistiques ou null
    */
-  getStats(sessionId) {
-    const conversation = this.conversations.get(sessionId);
+  async getStats(sessionId) {
+    const conversation = await this.store.get(sessionId);
 
     if (!conversation) {
       return null;
     }
 
-    const userMessages = conversation.messages.filter(m => m.role === 'user').length;
+    const userMessages = conversation.messages.filter(m => m.role === 'user');
     const assistantMessages = conversation.messages.filter(m => m.role === 'assistant').length;
 
+    // Répartition des demandes de l'étudiant par mode d'interaction
+    const modes = {};
+    for (const message of userMessages) {
+      const mode = message.mode || 'chat';
+      modes[mode] = (modes[mode] || 0) + 1;
+    }
+
     return {
       totalMessages: conversation.messages.length - 1, // Exclut le message system
-      userMessages,
+      userMessages: userMessages.length,
       assistantMessages,
+      modes,
+      interventions: (conversation.interventions || []).length,
+      attachments: Object.keys(conversation.attachments || {}).length,
+      hints: summarizeHints(conversation.hints),
+      checks: summarizeChecks(conversation.checks),
+      feedback: summarizeFeedback(ratedMessages(conversation)),
+      activeBranch: conversation.activeBranch || 'main',
+      branches: Object.keys(conversation.branches || { main: true }).length,
       createdAt: conversation.createdAt,
       lastActivity: conversation.lastActivity,
+      lifecycle: describeLifecycle(conversation, this.lifecycle),
       metadata: conversation.metadata,
     };
   }
+
+  /**
+   * Statistiques destinées à l'étudiant : le signalement pour revue et le nombre
+   * d'interventions (modération, garde-fou) ne sont visibles que des enseignants
+   * @param {Object} stats - Statistiques issues de getStats
+   * @returns {Object}
+   */
+  static toPublicStats(stats) {
+    const { interventions, metadata, ...publicStats } = stats;
+    const { flagged, flaggedAt, ...publicMetadata } = metadata || {};
+    return { ...publicStats, metadata: publicMetadata };
+  }
 }
 
-export default new ConversationManager();
+export { ConversationManager };
+
+export default new ConversationManager(createStore('conversations'), {
+  maxContextTokens: parseInt(process.env.CONTEXT_MAX_TOKENS) || 6000,
+});
@@ -0,0 +1,146 @@
+/**
+ * Modèle d'erreur de l'API
+ * Chaque erreur a un code stable (lu par les clients), un statut HTTP
+ * et un message traduit selon l'en-tête Accept-Language (français par défaut)
+ */
+
+export const LOCALES = ['fr', 'en'];
+
+/**
+ * Catalogue des erreurs : { status, fr, en }
+ * Les messages peuvent contenir des paramètres {nom}, remplis par ApiError
+ */
+export const ERRORS = {
+  // Requête
+  VALIDATION_FAILED: { status: 400, fr: 'Requête invalide', en: 'Invalid request' },
+  INVALID_JSON: { status: 400, fr: 'Corps de requête JSON invalide', en: 'Malformed JSON body' },
+  PAYLOAD_TOO_LARGE: { status: 413, fr: 'Corps de requête trop volumineux', en: 'Request body too large' },
+  ROUTE_NOT_FOUND: { status: 404, fr: 'Route non trouvée', en: 'Route not found' },
+
+  // Authentification et droits
+  AUTH_REQUIRED: { status: 401, fr: 'Authentification requise', en: 'Authentication required' },
+  INVALID_CREDENTIALS: { status: 401, fr: 'Identifiants invalides', en: 'Invalid credentials' },
+  AUTH_NOT_CONFIGURED: { status: 503, fr: 'Authentification non configurée - vérifiez AUTH_SECRET', en: 'Authentication is not configured - check AUTH_SECRET' },
+  FORBIDDEN: { status: 403, fr: 'Accès réservé', en: 'Access restricted' },
+  SESSION_FORBIDDEN: { status: 403, fr: 'Accès refusé à cette session', en: 'Access to this session is denied' },
+  CLASS_FORBIDDEN: { status: 403, fr: 'Accès refusé à cette classe', en: 'Access to this class is denied' },
+
+  // Ressources
+  TP_NOT_FOUND: { status: 404, fr: 'TP non trouvé', en: 'TP not found' },
+  SESSION_NOT_FOUND: { status: 404, fr: 'Session non trouvée', en: 'Session not found' },
+  MESSAGE_NOT_FOUND: { status: 404, fr: 'Message non trouvé dans la branche active', en: 'Message not found in the active branch' },
+  BRANCH_NOT_FOUND: { status: 404, fr: 'Branche non trouvée', en: 'Branch not found' },
+  ATTACHMENT_NOT_FOUND: { status: 404, fr: 'Pièce jointe non trouvée', en: 'Attachment not found' },
+  EXERCISE_NOT_FOUND: { status: 404, fr: 'Exercice non trouvé dans le TP de la session', en: 'Exercise not found in the session\'s TP' },
+  PROFILE_NOT_FOUND: { status: 404, fr: 'Profil de prompt non trouvé', en: 'Prompt profile not found' },
+
+  // Cycle de vie des sessions
+  SESSION_ARCHIVED: { status: 409, fr: 'Session archivée : reprenez-la pour continuer', en: 'Session is archived: resume it to continue' },
+  SESSION_NOT_ARCHIVED: { status: 409, fr: 'La session n\'est pas archivée', en: 'Session is not archived' },
+  CRON_NOT_CONFIGURED: { status: 503, fr: 'Route de maintenance désactivée - définissez CRON_SECRET', en: 'Maintenance route is disabled - set CRON_SECRET' },
+
+  // Profils de prompt
+  PROFILE_EXISTS: { status: 409, fr: 'Un profil avec cet identifiant existe déjà', en: 'A profile with this id already exists' },
+  PROFILE_BUILT_IN: { status: 409, fr: 'Les profils intégrés ne peuvent pas être supprimés', en: 'Built-in profiles cannot be deleted' },
+  PROFILE_IN_USE: { status: 409, fr: 'Profil utilisé par des TP', en: 'Profile is used by TPs' },
+  UNKNOWN_PROMPT_TYPE: { status: 400, fr: 'Profil de prompt inconnu : {promptType}', en: 'Unknown prompt profile: {promptType}' },
+  PROMPT_BUILD_FAILED: { status: 422, fr: 'Le prompt système ne peut pas être construit pour ce TP', en: 'The system prompt cannot be built for this TP' },
+
+  // Messages et échanges
+  INVALID_OPTIONS: { status: 400, fr: 'Options invalides', en: 'Invalid options' },
+  VISION_UNSUPPORTED: { status: 400, fr: 'Le modèle {model} ne prend pas en charge les images', en: 'Model {model} does not accept images' },
+  MESSAGE_TOO_LONG: { status: 413, fr: 'Message trop long', en: 'Message too long' },
+  ATTACHMENTS_INVALID: { status: 400, fr: 'Pièces jointes invalides', en: 'Invalid attachments' },
+  ATTACHMENTS_TOO_LARGE: { status: 413, fr: 'Pièces jointes trop volumineuses', en: 'Attachments too large' },
+  NOTHING_TO_REGENERATE: { status: 400, fr: 'La conversation ne se termine pas par une réponse de l\'assistant à régénérer', en: 'The conversation does not end with an assistant reply to regenerate' },
+  MODERATED_NOT_REGENERABLE: { status: 400, fr: 'Un message refusé par la modération ne peut pas être régénéré', en: 'A message refused by moderation cannot be regenerated' },
+  MESSAGE_NOT_EDITABLE: { status: 400, fr: 'Seuls les messages de l\'étudiant peuvent être modifiés', en: 'Only student messages can be edited' },
+  MESSAGE_NOT_RATEABLE: { status: 400, fr: 'Seules les réponses de l\'assistant peuvent être évaluées', en: 'Only assistant replies can be rated' },
+
+  // Code, indices et exercices
+  CODE_INVALID: { status: 400, fr: 'Fichiers invalides', en: 'Invalid files' },
+  CODE_TOO_LARGE: { status: 413, fr: 'Code soumis trop volumineux', en: 'Submitted code too large' },
+  HINTS_EXHAUSTED: { status: 409, fr: 'Tous les indices de cet exercice ont déjà été donnés', en: 'All hints for this exercise have already been given' },
+  NO_TESTS: { status: 400, fr: 'Cet exercice n\'a pas de tests automatiques', en: 'This exercise has no automated tests' },
+
+  // Quotas
+  RATE_LIMITED: { status: 429, fr: 'Trop de requêtes, réessayez dans quelques instants', en: 'Too many requests, try again shortly' },
+  QUOTA_EXCEEDED: { status: 429, fr: 'Quota de tokens dépassé', en: 'Token quota exceeded' },
+
+  // Modèle (codes de openaiService pour les échecs du fournisseur)
+  LLM_NOT_CONFIGURED: { status: 503, fr: 'Service de modèle non configuré - vérifiez LLM_PROVIDER et la clé API', en: 'Model service is not configured - check LLM_PROVIDER and the API key' },
+  LLM_TIMEOUT: { status: 504, fr: 'Le modèle n\'a pas répondu à temps', en: 'The model did not respond in time' },
+  LLM_QUOTA_EXCEEDED: { status: 429, fr: 'Le service de modèle est saturé, réessayez dans quelques instants', en: 'The model service is overloaded, try again shortly' },
+  LLM_RATE_LIMITED: { status: 429, fr: 'Le service de modèle est saturé, réessayez dans quelques instants', en: 'The model service is overloaded, try again shortly' },
+  LLM_MODEL_UNAVAILABLE: { status: 502, fr: 'Erreur lors de la communication avec le modèle', en: 'Error while communicating with the model' },
+  LLM_AUTH_FAILED: { status: 503, fr: 'Le service de modèle est momentanément indisponible', en: 'The model service is temporarily unavailable' },
+  LLM_UNAVAILABLE: { status: 503, fr: 'Le service de modèle est momentanément indisponible', en: 'The model service is temporarily unavailable' },
+  LLM_UNREACHABLE: { status: 503, fr: 'Le service de modèle est momentanément indisponible', en: 'The model service is temporarily unavailable' },
+  LLM_ERROR: { status: 502, fr: 'Erreur lors de la communication avec le modèle', en: 'Error while communicating with the model' },
+  LLM_INVALID_RESPONSE: { status: 502, fr: 'Réponse du modèle invalide', en: 'Invalid model response' },
+
+  INTERNAL_ERROR: { status: 500, fr: 'Erreur interne du serveur', en: 'Internal server error' },
+};
+
+/**
+ * Erreur renvoyée au client avec un code du catalogue
+ * Les routes la lèvent ; le gestionnaire d'erreurs central la met en forme
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Code du catalogue ERRORS
+   * @param {Object} options - { details, params, headers, ...extra }
+   *   details : précisions (liste d'erreurs de validation...) ;
+   *   params : valeurs des paramètres du message ;
+   *   headers : en-têtes HTTP à ajouter (Retry-After...) ;
+   *   extra : champs supplémentaires du corps de la réponse (quota, maxFiles...)
+   */
+  constructor(code, { details, params = {}, headers = {}, ...extra } = {}) {
+    const entry = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+    super(formatMessage(entry.fr, params));
+    this.name = 'ApiError';
+    this.code = ERRORS[code] ? code : 'INTERNAL_ERROR';
+    this.status = entry.status;
+    this.details = details;
+    this.params = params;
+    this.headers = headers;
+    this.extra = extra;
+  }
+
+  /**
+   * Message de l'erreur dans une langue
+   * @param {string} locale - fr | en
+   * @returns {string}
+   */
+  localize(locale) {
+    const entry = ERRORS[this.code];
+    return formatMessage(entry[locale] || entry.fr, this.params);
+  }
+
+  /**
+   * Corps de réponse uniforme
+   * @param {Object} options - { locale, requestId }
+   * @returns {Object} - { success: false, error, code, status, requestId, details?, ...extra }
+   */
+  toBody({ locale = 'fr', requestId } = {}) {
+    return {
+      success: false,
+      error: this.localize(locale),
+      code: this.code,
+      status: this.status,
+      ...(requestId && { requestId }),
+      ...(this.details !== undefined && { details: this.details }),
+      ...this.extra,
+    };
+  }
+}
+
+/**
+ * Remplit les paramètres {nom} d'un message
+ * @param {string} template - Message du catalogue
+ * @param {Object} params - Valeurs
+ * @returns {string}
+ */
+function formatMessage(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
@@ -0,0 +1,180 @@
+import { isDeepStrictEqual } from 'util';
+import { validateFields } from './validation.js';
+import { HINT_LEVELS } from './hintLadder.js';
+import { SANDBOX_LANGUAGES } from './sandbox/index.js';
+
+/**
+ * Exercices d'un TP : énoncé, indices rédigés et tests de correction
+ * Les tests sont exécutés par services/sandbox ; les tests cachés comptent
+ * dans le résultat mais leurs entrées et sorties ne sont jamais montrées
+ */
+
+const MAX_EXERCISES = 50;
+const MAX_TESTS = 50;
+
+/**
+ * Schéma d'un exercice de TP
+ */
+const EXERCISE_FIELDS = {
+  id: { type: 'string', required: true, pattern: /^[A-Za-z0-9][\w-]{0,49}$/ },
+  title: { type: 'string', required: true, maxLength: 200 },
+  statement: { type: 'string', maxLength: 5000 },
+  // Indices rédigés par l'enseignant, un par niveau (les niveaux absents sont générés par le modèle)
+  hints: { type: 'array', maxItems: HINT_LEVELS.length, validate: validateHints },
+  language: { type: 'string', enum: SANDBOX_LANGUAGES },
+  // Fonction appelée par les tests avec leurs arguments
+  entry: { type: 'string', pattern: /^[A-Za-z_$][\w$]{0,99}$/ },
+  tests: { type: 'array', maxItems: MAX_TESTS, validate: validateTests },
+};
+
+/**
+ * Schéma d'un test (expected, valeur JSON quelconque, est vérifié à part)
+ */
+const TEST_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  args: { type: 'array', maxItems: 20 },
+  // Test compté dans le résultat sans que l'étudiant en voie les valeurs
+  hidden: { type: 'boolean' },
+};
+
+/**
+ * Valide les indices rédigés d'un exercice
+ * @param {Array} hints - Indices, dans l'ordre des niveaux (null pour un niveau généré)
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+function validateHints(hints) {
+  return hints.flatMap((hint, index) => (hint === null || (typeof hint === 'string' && hint.length <= 2000)
+    ? []
+    : [`[${index}] doit être une chaîne de 2000 caractères au plus ou null`]));
+}
+
+/**
+ * Valide les tests d'un exercice
+ * @param {Array} tests - [{ name, args?, expected, hidden? }]
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+function validateTests(tests) {
+  return tests.flatMap((test, index) => {
+    if (!test || typeof test !== 'object' || Array.isArray(test)) {
+      return [`[${index}] doit être un objet`];
+    }
+
+    const { expected, ...fields } = test;
+    const errors = validateFields(TEST_FIELDS, fields);
+    if (!('expected' in test)) {
+      errors.push('expected est requis');
+    }
+    return errors.map(error => `[${index}] ${error}`);
+  });
+}
+
+/**
+ * Valide la liste des exercices d'un TP
+ * @param {Array} exercises - [{ id, title, statement?, hints?, language?, entry?, tests? }]
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+export function validateExercises(exercises) {
+  if (exercises.length > MAX_EXERCISES) {
+    return [`${exercises.length} exercices (maximum ${MAX_EXERCISES})`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  exercises.forEach((exercise, index) => {
+    errors.push(...validateFields(EXERCISE_FIELDS, exercise).map(error => `[${index}] ${error}`));
+
+    if (exercise?.tests?.length && !exercise.entry) {
+      errors.push(`[${index}] entry est requis quand l'exercice a des tests`);
+    }
+    if (exercise?.id !== undefined && ids.has(exercise.id)) {
+      errors.push(`[${index}] identifiant en double : ${exercise.id}`);
+    }
+    ids.add(exercise?.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Vue d'un exercice destinée aux étudiants : sans indices rédigés,
+ * et sans les valeurs des tests cachés
+ * @param {Object} exercise - Exercice du TP
+ * @returns {Object}
+ */
+export function toPublicExercise({ hints, tests, ...exercise }) {
+  if (!tests) {
+    return exercise;
+  }
+
+  return {
+    ...exercise,
+    tests: tests.map(test => (test.hidden ? { name: test.name, hidden: true } : test)),
+  };
+}
+
+/**
+ * Compare les résultats de l'exécution aux valeurs attendues
+ * Une fonction qui ne renvoie rien est comparée comme null (undefined ne passe pas en JSON)
+ * @param {Array} tests - Tests de l'exercice
+ * @param {Object} run - Résultat de runSandbox { results, error? }
+ * @returns {Object} - { passed, total, allPassed, results: [{ name, hidden, passed, args, expected, actual?, error?, logs, durationMs }] }
+ */
+export function gradeResults(tests, run) {
+  const results = tests.map((test, index) => {
+    const result = run.results[index] || { error: run.error || 'Test non exécuté', logs: [], durationMs: 0 };
+    const hasValue = result.error === undefined || result.error === null;
+
+    return {
+      name: test.name,
+      hidden: Boolean(test.hidden),
+      passed: hasValue && isDeepStrictEqual(result.value, test.expected ?? null),
+      args: test.args || [],
+      expected: test.expected,
+      ...(hasValue ? { actual: result.value } : { error: result.error }),
+      logs: result.logs || [],
+      durationMs: result.durationMs || 0,
+    };
+  });
+
+  const passed = results.filter(result => result.passed).length;
+  return { passed, total: results.length, allPassed: passed === results.length, results };
+}
+
+/**
+ * Vue des résultats destinée à l'étudiant : un test caché ne révèle que son nom et son statut
+ * @param {Array} results - Résultats de gradeResults
+ * @returns {Array}
+ */
+export function toPublicResults(results) {
+  return results.map(({ hidden, ...result }) => (hidden
+    ? { name: result.name, hidden: true, passed: result.passed, ...(result.error && { error: 'Erreur à l\'exécution' }) }
+    : result));
+}
+
+/**
+ * Retour affiché quand le modèle ne commente pas la vérification
+ * (tous les tests passent, ou modèle indisponible)
+ * @param {Object} grading - Résultat de gradeResults
+ * @returns {string}
+ */
+export function describeGrading(grading) {
+  if (grading.allPassed) {
+    return `Tous les tests passent (${grading.passed}/${grading.total}). Bravo ! Relisez votre code pour vérifier qu'il reste clair, puis passez à la suite.`;
+  }
+  return `${grading.passed}/${grading.total} tests réussis. Relisez les tests échoués : comparez la valeur attendue à celle obtenue et suivez l'exécution de votre code sur ces arguments.`;
+}
+
+/**
+ * Résumé des vérifications d'une session
+ * @param {Object} checks - Par exercice { attempts, passed, total, passedAt, updatedAt }
+ * @returns {Object} - { exercises, attempts, exercisesPassed }
+ */
+export function summarizeChecks(checks = {}) {
+  const progress = Object.values(checks);
+  return {
+    exercises: checks,
+    attempts: progress.reduce((sum, check) => sum + check.attempts, 0),
+    exercisesPassed: progress.filter(check => check.passedAt).length,
+  };
+}
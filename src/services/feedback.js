@@ -0,0 +1,159 @@
+import { validateFields } from './validation.js';
+
+/**
+ * Avis des étudiants sur les réponses de l'assistant :
+ * pouce levé ou baissé, catégorie et commentaire optionnels
+ */
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+export const FEEDBACK_CATEGORIES = [
+  'helpful',        // A aidé à avancer
+  'unclear',        // Explication confuse
+  'incorrect',      // Information fausse
+  'solution_leak',  // A donné la solution
+  'off_topic',      // Hors sujet
+  'other',
+];
+
+const FEEDBACK_FIELDS = {
+  rating: { type: 'string', required: true, enum: FEEDBACK_RATINGS },
+  category: { type: 'string', enum: FEEDBACK_CATEGORIES },
+  comment: { type: 'string', maxLength: 1000 },
+};
+
+const RECENT_NEGATIVE = 20; // Avis négatifs détaillés renvoyés au tableau de bord
+
+/**
+ * Valide un avis envoyé par un étudiant
+ * @param {Object} data - { rating, category?, comment? }
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+export function validateFeedback(data) {
+  return validateFields(FEEDBACK_FIELDS, data);
+}
+
+/**
+ * Compteurs vides
+ * @returns {Object}
+ */
+function emptyCounts() {
+  return { up: 0, down: 0, categories: {} };
+}
+
+/**
+ * Ajoute un avis à des compteurs
+ * @param {Object} counts - { up, down, categories }
+ * @param {Object} feedback - Avis enregistré sur un message
+ */
+function count(counts, feedback) {
+  counts[feedback.rating] += 1;
+  if (feedback.category) {
+    counts.categories[feedback.category] = (counts.categories[feedback.category] || 0) + 1;
+  }
+}
+
+/**
+ * Part d'avis positifs (null sans avis)
+ * @param {Object} counts - { up, down }
+ * @returns {number|null}
+ */
+function satisfaction({ up, down }) {
+  return up + down > 0 ? +(up / (up + down)).toFixed(2) : null;
+}
+
+/**
+ * Messages notés d'une conversation, sur toutes ses branches : une édition ou une
+ * régénération range l'ancienne branche, dont les avis doivent rester comptés
+ * Un message repris dans plusieurs branches n'est compté qu'une fois (avis le plus récent)
+ * @param {Object} conversation - Conversation complète
+ * @returns {Array} - Messages avec feedback, chacun annoté de sa branche (branchId)
+ */
+export function ratedMessages(conversation) {
+  const active = conversation.activeBranch || 'main';
+  const transcripts = [
+    [active, conversation.messages],
+    ...Object.values(conversation.branches || {})
+      .filter(branch => branch.id !== active && branch.messages)
+      .map(branch => [branch.id, branch.messages]),
+  ];
+  const rated = new Map();
+
+  for (const [branchId, messages] of transcripts) {
+    for (const message of messages) {
+      const previous = rated.get(message.id);
+      if (message.feedback && (!previous || message.feedback.ratedAt > previous.feedback.ratedAt)) {
+        rated.set(message.id, { ...message, branchId });
+      }
+    }
+  }
+
+  return Array.from(rated.values());
+}
+
+/**
+ * Résumé des avis d'une conversation
+ * @param {Array} messages - Messages notés (voir ratedMessages)
+ * @returns {Object} - { up, down, categories, satisfaction }
+ */
+export function summarizeFeedback(messages) {
+  const counts = emptyCounts();
+
+  for (const message of messages) {
+    if (message.feedback) {
+      count(counts, message.feedback);
+    }
+  }
+
+  return { ...counts, satisfaction: satisfaction(counts) };
+}
+
+/**
+ * Agrège les avis par profil de prompt et par TP pour comparer les prompts
+ * @param {Array} conversations - Conversations filtrées
+ * @returns {Object} - { total, byPromptType, byTp, recentNegative }
+ */
+export function aggregateFeedback(conversations) {
+  const total = emptyCounts();
+  const byPromptType = {};
+  const byTp = {};
+  const negative = [];
+
+  for (const conversation of conversations) {
+    const { promptType = 'inconnu', tpId = 'inconnu' } = conversation.metadata || {};
+
+    for (const message of ratedMessages(conversation)) {
+      byPromptType[promptType] = byPromptType[promptType] || emptyCounts();
+      byTp[tpId] = byTp[tpId] || emptyCounts();
+      count(total, message.feedback);
+      count(byPromptType[promptType], message.feedback);
+      count(byTp[tpId], message.feedback);
+
+      if (message.feedback.rating === 'down') {
+        negative.push({
+          sessionId: conversation.id,
+          messageId: message.id,
+          branchId: message.branchId,
+          promptType,
+          tpId,
+          category: message.feedback.category || null,
+          comment: message.feedback.comment || null,
+          ratedAt: message.feedback.ratedAt,
+        });
+      }
+    }
+  }
+
+  const withSatisfaction = groups => Object.fromEntries(
+    Object.entries(groups).map(([key, counts]) => [key, { ...counts, satisfaction: satisfaction(counts) }])
+  );
+
+  return {
+    total: { ...total, satisfaction: satisfaction(total) },
+    byPromptType: withSatisfaction(byPromptType),
+    byTp: withSatisfaction(byTp),
+    recentNegative: negative
+      .sort((a, b) => b.ratedAt.localeCompare(a.ratedAt))
+      .slice(0, RECENT_NEGATIVE),
+  };
+}
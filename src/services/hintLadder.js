@@ -0,0 +1,97 @@
+/**
+ * Échelle d'indices par exercice : chaque demande donne le niveau suivant,
+ * du simple coup de pouce jusqu'à un extrait de code partiel
+ * Les exercices et les indices rédigés à l'avance viennent de la définition du TP (voir services/exercises)
+ */
+
+export const HINT_LEVELS = [
+  { name: 'nudge', label: 'Coup de pouce' },
+  { name: 'concept', label: 'Notion à revoir' },
+  { name: 'pseudocode', label: 'Pseudo-code' },
+  { name: 'snippet', label: 'Extrait de code partiel' },
+];
+
+/**
+ * Niveau suivant d'un exercice
+ * @param {Object|undefined} progress - Progression enregistrée { level, updatedAt }
+ * @returns {number|null} - Niveau (1 à HINT_LEVELS.length) ou null si tous ont été donnés
+ */
+export function nextHintLevel(progress) {
+  const level = (progress?.level || 0) + 1;
+  return level <= HINT_LEVELS.length ? level : null;
+}
+
+/**
+ * Description d'un niveau
+ * @param {number} level - Niveau (1 à HINT_LEVELS.length)
+ * @returns {Object} - { level, name, label }
+ */
+export function describeHintLevel(level) {
+  return { level, ...HINT_LEVELS[level - 1] };
+}
+
+/**
+ * Résumé de la progression d'une session
+ * @param {Object} hints - Progression par exercice { [exerciseId]: { level, updatedAt } }
+ * @returns {Object} - { exercises, maxLevel, levelsReached }
+ */
+export function summarizeHints(hints = {}) {
+  const exercises = {};
+  let maxLevel = 0;
+  let levelsReached = 0;
+
+  for (const [exerciseId, progress] of Object.entries(hints)) {
+    exercises[exerciseId] = { ...describeHintLevel(progress.level), updatedAt: progress.updatedAt };
+    maxLevel = Math.max(maxLevel, progress.level);
+    levelsReached += progress.level;
+  }
+
+  return { exercises, maxLevel, levelsReached };
+}
+
+/**
+ * Agrège les niveaux atteints pour le tableau de bord
+ * @param {Array} conversations - Conversations filtrées
+ * @returns {Object} - { byExercise, students }
+ *   byExercise : par TP et exercice, nombre de sessions et répartition des niveaux atteints ;
+ *   students : étudiants triés du plus au moins aidé (somme des niveaux atteints)
+ */
+export function aggregateHints(conversations) {
+  const byExercise = {};
+  const students = new Map();
+
+  for (const conversation of conversations) {
+    const { userId = 'inconnu', tpId = 'inconnu' } = conversation.metadata || {};
+
+    for (const [exerciseId, progress] of Object.entries(conversation.hints || {})) {
+      const key = `${tpId}/${exerciseId}`;
+      const exercise = byExercise[key] || {
+        tpId,
+        exerciseId,
+        sessions: 0,
+        levels: Object.fromEntries(HINT_LEVELS.map(l => [l.name, 0])),
+        averageLevel: 0,
+      };
+      exercise.averageLevel = (exercise.averageLevel * exercise.sessions + progress.level) / (exercise.sessions + 1);
+      exercise.sessions += 1;
+      exercise.levels[HINT_LEVELS[progress.level - 1].name] += 1;
+      byExercise[key] = exercise;
+
+      const student = students.get(userId) || { userId, exercises: 0, levelsReached: 0, maxLevel: 0 };
+      student.exercises += 1;
+      student.levelsReached += progress.level;
+      student.maxLevel = Math.max(student.maxLevel, progress.level);
+      students.set(userId, student);
+    }
+  }
+
+  for (const exercise of Object.values(byExercise)) {
+    exercise.averageLevel = +exercise.averageLevel.toFixed(2);
+  }
+
+  return {
+    byExercise,
+    students: Array.from(students.values())
+      .sort((a, b) => b.levelsReached - a.levelsReached || b.maxLevel - a.maxLevel),
+  };
+}
@@ -0,0 +1,175 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Filtrage des messages étudiants avant l'appel au modèle
+ * Limite de taille, détection des tentatives d'injection de prompt et des
+ * propos injurieux ; les règles par défaut sont surchargeables par TP
+ */
+
+const DEFAULTS = {
+  maxMessageChars: parseInt(process.env.MODERATION_MAX_MESSAGE_CHARS) || 4000,
+  blockInjection: true,
+  blockAbuse: true,
+  refusalMessage: process.env.MODERATION_REFUSAL_MESSAGE
+    || 'Bien essayé 😉 mais je ne peux pas répondre à ce message. Reformule ta question sur le TP et je t\'aide volontiers !',
+};
+
+// Tentatives de contournement des consignes (textes normalisés : minuscules, sans accents)
+const INJECTION_PATTERNS = [
+  /\b(ignore|oublie|ignorer|oublier|disregard|forget)\b.{0,30}\b(instructions?|consignes?|regles?|rules|prompt)\b/,
+  /\b(tu es|you are)\s+(desormais|maintenant|now)\b/,
+  /\b(fais|fait|faites|act)\s+(comme si|as if)\b.{0,40}\b(pas|aucune?|no|without)\b.{0,20}\b(regles?|consignes?|limites?|rules|restrictions?)\b/,
+  /\b(revele|montre|affiche|repete|donne|reveal|show|print|repeat)\b.{0,20}\b(ton|tes|le|les|your|the)\s+(prompt|instructions?|consignes?)\b/,
+  /\b(prompt systeme|system prompt)\b/,
+  /\b(jailbreak|dan mode|developer mode|mode developpeur)\b/,
+  /<\/?(system|assistant)>|\[\/?inst\]|#{2,}\s*(system|instruction)/,
+];
+
+// Propos injurieux (liste volontairement courte, complétable par TP via extraPatterns)
+const ABUSE_PATTERNS = [
+  /\b(connard|connasse|salope|encule|fdp|batard|pute)s?\b/,
+  /\b(ta gueule|nique ta|ferme ta gueule)\b/,
+];
+
+/**
+ * Normalise un texte pour la détection (minuscules, sans accents)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Valide la configuration de modération d'un TP
+ * @param {Object} config - { maxMessageChars, blockInjection, blockAbuse, refusalMessage, extraPatterns }
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+export function validateModerationConfig(config) {
+  const errors = [];
+  const known = ['maxMessageChars', 'blockInjection', 'blockAbuse', 'refusalMessage', 'extraPatterns'];
+
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) {
+      errors.push(`champ inconnu : ${key}`);
+    }
+  }
+
+  if (config.maxMessageChars !== undefined
+    && (!Number.isInteger(config.maxMessageChars) || config.maxMessageChars < 1 || config.maxMessageChars > 50000)) {
+    errors.push('maxMessageChars doit être un entier entre 1 et 50000');
+  }
+
+  for (const key of ['blockInjection', 'blockAbuse']) {
+    if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+      errors.push(`${key} doit être un booléen`);
+    }
+  }
+
+  if (config.refusalMessage !== undefined
+    && (typeof config.refusalMessage !== 'string' || config.refusalMessage.length > 1000)) {
+    errors.push('refusalMessage doit être une chaîne de 1000 caractères au plus');
+  }
+
+  if (config.extraPatterns !== undefined) {
+    if (!Array.isArray(config.extraPatterns)) {
+      errors.push('extraPatterns doit être une liste d\'expressions régulières');
+    } else {
+      config.extraPatterns.forEach((pattern, index) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch {
+          errors.push(`extraPatterns[${index}] n'est pas une expression régulière valide`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Vérifie un message étudiant
+ * @param {string} message - Message de l'étudiant
+ * @param {Object} tp - TP de la session (champ moderation), peut être null
+ * @param {Object} options - { checkLength } : false pour un contenu dont la taille
+ *   est limitée ailleurs (fichiers joints, code soumis)
+ * @returns {Object} - { allowed, tooLong, flags: [{ rule, detail }], refusal, maxMessageChars }
+ */
+export function moderateMessage(message, tp, { checkLength = true } = {}) {
+  const config = { ...DEFAULTS, ...(tp?.moderation || {}) };
+  const text = normalize(message);
+  const flags = [];
+
+  if (checkLength && message.length > config.maxMessageChars) {
+    return {
+      allowed: false,
+      tooLong: true,
+      flags: [{ rule: 'max_length', detail: `${message.length} caractères (maximum ${config.maxMessageChars})` }],
+      refusal: null,
+      maxMessageChars: config.maxMessageChars,
+    };
+  }
+
+  if (config.blockInjection) {
+    const pattern = INJECTION_PATTERNS.find(p => p.test(text));
+    if (pattern) {
+      flags.push({ rule: 'prompt_injection', detail: `motif ${pattern.source}` });
+    }
+  }
+
+  if (config.blockAbuse) {
+    const pattern = ABUSE_PATTERNS.find(p => p.test(text));
+    if (pattern) {
+      flags.push({ rule: 'abuse', detail: `motif ${pattern.source}` });
+    }
+  }
+
+  for (const source of config.extraPatterns || []) {
+    if (new RegExp(source, 'i').test(message)) {
+      flags.push({ rule: 'tp_pattern', detail: `motif ${source}` });
+    }
+  }
+
+  return {
+    allowed: flags.length === 0,
+    tooLong: false,
+    flags,
+    refusal: flags.length > 0 ? config.refusalMessage : null,
+    maxMessageChars: config.maxMessageChars,
+  };
+}
+
+/**
+ * Vérifie des contenus textuels soumis par l'étudiant (fichiers, pièces jointes)
+ * selon les mêmes règles que les messages ; leur taille est contrôlée par leur propre limite
+ * @param {Array<Object>} texts - [{ name, content }]
+ * @param {Object} tp - TP de la session, peut être null
+ * @returns {Object} - Même forme que moderateMessage, chaque motif détecté indiquant le fichier
+ */
+export function moderateTexts(texts, tp) {
+  const flags = [];
+  let refusal = null;
+
+  for (const { name, content } of texts) {
+    const result = moderateMessage(`${name}\n${content}`, tp, { checkLength: false });
+    flags.push(...result.flags.map(flag => ({ ...flag, detail: `${name} : ${flag.detail}` })));
+    refusal = refusal || result.refusal;
+  }
+
+  return {
+    allowed: flags.length === 0,
+    tooLong: false,
+    flags,
+    refusal,
+    maxMessageChars: moderateMessage('', tp).maxMessageChars,
+  };
+}
+
+export default {
+  validateModerationConfig,
+  moderateMessage,
+  moderateTexts,
+};
@@ -0,0 +1,143 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Journalisation structurée : une ligne JSON par événement
+ * { time, level, msg, requestId?, ...champs }
+ * L'identifiant de requête vient du contexte ouvert par le middleware requestLogger,
+ * sans avoir à le transmettre aux services
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Contenu des conversations : masqué sauf LOG_CONTENT=true (débogage local)
+const CONTENT_KEYS = new Set(['content', 'messages', 'prompt', 'attachments', 'partial', 'body']);
+// Secrets : toujours masqués
+const SECRET_KEYS = new Set(['password', 'token', 'authorization', 'apiKey', 'secret']);
+
+const MAX_DEPTH = 5;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Exécute une fonction dans un contexte de requête (repris par chaque log émis pendant son exécution)
+ * @param {Object} context - { requestId, ... }
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {*} - Valeur renvoyée par fn
+ */
+export function runWithContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * Contexte de la requête en cours
+ * @returns {Object} - { requestId, ... } ou {} hors requête
+ */
+export function getContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Forme journalisable d'une erreur (les propriétés d'une Error ne sont pas énumérables)
+ * @param {Error|*} error - Erreur
+ * @returns {Object}
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Masque les secrets et, par défaut, le contenu des conversations
+ * @param {*} value - Valeur à journaliser
+ * @param {Object} options - { logContent }
+ * @param {number} depth - Profondeur courante
+ * @returns {*}
+ */
+export function redact(value, { logContent = false } = {}, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, { logContent }, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SECRET_KEYS.has(key) || (!logContent && CONTENT_KEYS.has(key))) {
+      return [key, '[masqué]'];
+    }
+    return [key, redact(item, { logContent }, depth + 1)];
+  }));
+}
+
+class Logger {
+  /**
+   * @param {Object} options - { level: niveau minimal, logContent: journaliser le contenu, write: (level, line) => void }
+   */
+  constructor({ level = 'info', logContent = false, write } = {}) {
+    this.level = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+    this.logContent = logContent;
+    // Avertissements et erreurs sur stderr, le reste sur stdout
+    this.write = write || ((lvl, line) => (LOG_LEVELS[lvl] >= LOG_LEVELS.warn ? console.error(line) : console.log(line)));
+  }
+
+  /**
+   * Émet une ligne de log si le niveau est suffisant
+   * @param {string} level - debug | info | warn | error
+   * @param {string} msg - Message court décrivant l'événement
+   * @param {Object} fields - Champs structurés ({ error } est sérialisé)
+   */
+  log(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < this.level) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...getContext(),
+      ...redact(fields, { logContent: this.logContent }),
+    };
+    this.write(level, JSON.stringify(entry));
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+export { Logger };
+
+export default new Logger({
+  level: process.env.LOG_LEVEL || 'info',
+  logContent: process.env.LOG_CONTENT === 'true',
+});
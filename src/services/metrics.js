@@ -0,0 +1,218 @@
+/**
+ * Métriques au format texte Prometheus (exposées par GET /metrics)
+ * Les valeurs sont propres à chaque instance du serveur : en serverless,
+ * elles repartent de zéro à chaque démarrage à froid
+ */
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+/**
+ * Échappe une valeur d'étiquette (antislash, guillemet, retour à la ligne)
+ * @param {*} value - Valeur de l'étiquette
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Sérialise des étiquettes : { a: 1, b: 'x' } → a="1",b="x"
+ * @param {Object} labels - Étiquettes
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Counter {
+  /**
+   * @param {string} name - Nom de la métrique
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Étiquettes attendues
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Ne garde que les étiquettes déclarées, dans l'ordre de déclaration
+   * @param {Object} labels - Étiquettes fournies
+   * @returns {Object}
+   */
+  pick(labels) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  /**
+   * Incrémente le compteur
+   * @param {Object} labels - Étiquettes
+   * @param {number} value - Incrément (positif)
+   */
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(this.pick(labels));
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  /**
+   * Lignes d'exposition de la métrique
+   * @returns {string}
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key} ${value}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Remet la métrique à zéro
+   */
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Histogram extends Counter {
+  /**
+   * @param {string} name - Nom de la métrique
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Étiquettes attendues
+   * @param {Array<number>} buckets - Bornes supérieures des intervalles, croissantes
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Enregistre une observation
+   * @param {Object} labels - Étiquettes
+   * @param {number} value - Valeur observée (secondes pour une durée)
+   */
+  observe(labels, value) {
+    const picked = this.pick(labels);
+    const key = formatLabels(picked);
+    const series = this.values.get(key) || { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+    this.values.set(key, series);
+  }
+
+  /**
+   * Lignes d'exposition : intervalles cumulés, somme et nombre d'observations
+   * @returns {string}
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.values) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${+series.sum.toFixed(6)}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Crée et enregistre un compteur
+   * @param {string} name - Nom de la métrique
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Étiquettes attendues
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Crée et enregistre un histogramme
+   * @param {string} name - Nom de la métrique
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Étiquettes attendues
+   * @param {Array<number>} buckets - Bornes des intervalles (durées en secondes par défaut)
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @param {Counter|Histogram} metric - Métrique à exposer
+   * @returns {Counter|Histogram}
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Texte d'exposition Prometheus de toutes les métriques
+   * @returns {string}
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n\n')}\n`;
+  }
+
+  /**
+   * Remet toutes les métriques à zéro
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+export { MetricsRegistry, Counter, Histogram };
+
+const registry = new MetricsRegistry();
+
+export const httpRequests = registry.counter(
+  'http_requests_total', 'Requêtes HTTP traitées', ['method', 'route', 'status'],
+);
+export const httpDuration = registry.histogram(
+  'http_request_duration_seconds', 'Durée de traitement des requêtes HTTP', ['method', 'route'],
+);
+export const errors = registry.counter(
+  'errors_total', 'Erreurs par origine (http, llm) et code', ['source', 'code'],
+);
+export const llmDuration = registry.histogram(
+  'llm_request_duration_seconds', 'Durée des appels au fournisseur de modèle (par tentative)', ['provider', 'model', 'outcome'], LLM_BUCKETS,
+);
+export const llmTokens = registry.counter(
+  'llm_tokens_total', 'Tokens consommés auprès du fournisseur de modèle', ['provider', 'model', 'type'],
+);
+
+/**
+ * Comptabilise les tokens d'une réponse du modèle
+ * @param {string} provider - Fournisseur
+ * @param {string} model - Modèle ayant répondu
+ * @param {Object|null} usage - { promptTokens, completionTokens }
+ */
+export function recordTokens(provider, model, usage) {
+  if (!usage) {
+    return;
+  }
+  llmTokens.inc({ provider, model, type: 'prompt' }, usage.promptTokens || 0);
+  llmTokens.inc({ provider, model, type: 'completion' }, usage.completionTokens || 0);
+}
+
+export default registry;
@@ -0,0 +1,177 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Politique d'utilisation du modèle : modèles autorisés, plafond de tokens
+ * et plage de température pour les options envoyées par les clients
+ *
+ * La politique effective combine, du plus général au plus précis :
+ * valeurs par défaut (env) → profil de prompt → TP
+ * Chaque niveau ne peut que restreindre le précédent : un TP ne peut ni autoriser
+ * un modèle, ni relever maxTokens, ni élargir la plage de température de son profil
+ */
+
+/**
+ * Lit un nombre dans l'environnement (0 est une valeur valide)
+ * @param {string} name - Nom de la variable
+ * @param {number} fallback - Valeur par défaut
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+export const DEFAULT_POLICY = {
+  // Liste vide : seuls le modèle configuré et les modèles de repli sont autorisés
+  allowedModels: (process.env.POLICY_ALLOWED_MODELS || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean),
+  maxTokens: envNumber('POLICY_MAX_TOKENS', 2000),
+  minTemperature: envNumber('POLICY_MIN_TEMPERATURE', 0),
+  maxTemperature: envNumber('POLICY_MAX_TEMPERATURE', 1),
+};
+
+// Seules options de modèle qu'un client peut demander
+const CLIENT_OPTIONS = ['model', 'maxTokens', 'temperature'];
+
+/**
+ * Valide une politique définie par un enseignant (profil ou TP)
+ * @param {Object} policy - { allowedModels?, maxTokens?, minTemperature?, maxTemperature? }
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+
+  for (const key of Object.keys(policy)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_POLICY, key)) {
+      errors.push(`champ inconnu : ${key}`);
+    }
+  }
+
+  if (policy.allowedModels !== undefined
+    && (!Array.isArray(policy.allowedModels) || policy.allowedModels.length > 20
+      || !policy.allowedModels.every(m => typeof m === 'string' && m && m.length <= 100))) {
+    errors.push('allowedModels doit être une liste de 20 noms de modèles au plus');
+  }
+
+  if (policy.maxTokens !== undefined
+    && (!Number.isInteger(policy.maxTokens) || policy.maxTokens < 1 || policy.maxTokens > 16000)) {
+    errors.push('maxTokens doit être un entier entre 1 et 16000');
+  }
+
+  for (const key of ['minTemperature', 'maxTemperature']) {
+    if (policy[key] !== undefined && (typeof policy[key] !== 'number' || policy[key] < 0 || policy[key] > 2)) {
+      errors.push(`${key} doit être un nombre entre 0 et 2`);
+    }
+  }
+
+  if (typeof policy.minTemperature === 'number' && typeof policy.maxTemperature === 'number'
+    && policy.minTemperature > policy.maxTemperature) {
+    errors.push('minTemperature doit être inférieur ou égal à maxTemperature');
+  }
+
+  return errors;
+}
+
+/**
+ * Valide les options de modèle envoyées par un client
+ * @param {*} options - Options reçues
+ * @returns {Array<string>} - Erreurs (vide si valide)
+ */
+export function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['options doit être un objet'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(options)) {
+    if (!CLIENT_OPTIONS.includes(key)) {
+      errors.push(`Option non autorisée : ${key} (autorisées : ${CLIENT_OPTIONS.join(', ')})`);
+    }
+  }
+
+  if (options.model !== undefined && (typeof options.model !== 'string' || !options.model)) {
+    errors.push('model doit être une chaîne');
+  }
+  if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+    errors.push('maxTokens doit être un entier positif');
+  }
+  if (options.temperature !== undefined && typeof options.temperature !== 'number') {
+    errors.push('temperature doit être un nombre');
+  }
+
+  return errors;
+}
+
+/**
+ * Calcule la politique effective
+ * @param {Object} service - Réglages du service de modèle { model, fallbackModels }
+ * @param {...Object} layers - Politiques partielles, de la plus générale à la plus précise
+ * @returns {Object} - Politique complète
+ */
+export function resolvePolicy(service, ...layers) {
+  const policy = {
+    ...DEFAULT_POLICY,
+    allowedModels: DEFAULT_POLICY.allowedModels.length > 0
+      ? DEFAULT_POLICY.allowedModels
+      : [service.model, ...service.fallbackModels],
+  };
+
+  for (const layer of layers.filter(Boolean)) {
+    // Intersection des modèles, plus petit plafond, bornes ramenées dans la plage courante
+    if (layer.allowedModels?.length > 0) {
+      policy.allowedModels = policy.allowedModels.filter(m => layer.allowedModels.includes(m));
+    }
+    if (layer.maxTokens !== undefined) {
+      policy.maxTokens = Math.min(policy.maxTokens, layer.maxTokens);
+    }
+
+    const within = value => Math.min(Math.max(value, policy.minTemperature), policy.maxTemperature);
+    const minTemperature = layer.minTemperature !== undefined ? within(layer.minTemperature) : policy.minTemperature;
+    const maxTemperature = layer.maxTemperature !== undefined ? within(layer.maxTemperature) : policy.maxTemperature;
+    policy.minTemperature = minTemperature;
+    policy.maxTemperature = maxTemperature;
+  }
+
+  return policy;
+}
+
+/**
+ * Applique la politique aux options demandées
+ * Un modèle non autorisé est refusé ; maxTokens et temperature sont ramenés dans les bornes
+ * @param {Object} requested - Options validées du client
+ * @param {Object} defaults - Options par défaut (profil, puis réglages du service)
+ * @param {Object} policy - Politique effective (voir resolvePolicy)
+ * @returns {Object} - { options, clamped: [{option, requested, applied}], errors }
+ *   clamped ne liste que les options envoyées par le client
+ */
+export function applyPolicy(requested, defaults, policy) {
+  if (requested.model !== undefined && !policy.allowedModels.includes(requested.model)) {
+    return {
+      options: null,
+      clamped: [],
+      errors: [`Modèle non autorisé : ${requested.model} (autorisés : ${policy.allowedModels.join(', ')})`],
+    };
+  }
+
+  const options = { ...defaults, ...requested };
+  const clamped = [];
+
+  const clamp = (option, min, max) => {
+    const value = Math.min(Math.max(options[option], min), max);
+    // Seules les valeurs demandées par le client sont signalées
+    if (value !== options[option] && requested[option] !== undefined) {
+      clamped.push({ option, requested: options[option], applied: value });
+    }
+    options[option] = value;
+  };
+
+  clamp('maxTokens', 1, policy.maxTokens);
+  clamp('temperature', policy.minTemperature, policy.maxTemperature);
+
+  return { options, clamped, errors: [] };
+}
@@ -1,63 +1,348 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createProvider } from './providers/index.js';
+import logger from './logger.js';
+import { llmDuration, errors, recordTokens } from './metrics.js';
 
 dotenv.config();
 
+/**
+ * Correspondance entre les erreurs du fournisseur et les statuts HTTP renvoyés au client
+ * transient : l'appel peut être retenté
+ */
+const ERROR_MAPPINGS = [
+  { match: e => e.timedOut, status: 504, code: 'LLM_TIMEOUT', transient: true },
+  { match: e => e.code === 'insufficient_quota', status: 429, code: 'LLM_QUOTA_EXCEEDED', transient: false },
+  { match: e => e.status === 429, status: 429, code: 'LLM_RATE_LIMITED', transient: true },
+  { match: e => e.status === 404 || e.code === 'model_not_found', status: 502, code: 'LLM_MODEL_UNAVAILABLE', transient: false },
+  { match: e => e.status === 401 || e.status === 403, status: 503, code: 'LLM_AUTH_FAILED', transient: false },
+  { match: e => e.status >= 500, status: 503, code: 'LLM_UNAVAILABLE', transient: true },
+  { match: e => e.status === 408 || e.status === 409, status: 503, code: 'LLM_UNAVAILABLE', transient: true },
+  { match: e => !e.status && e.name === 'APIConnectionError', status: 503, code: 'LLM_UNREACHABLE', transient: true },
+];
+
+/**
+ * Classe une erreur du fournisseur
+ * @param {Error} error - Erreur levée par le fournisseur
+ * @returns {Object} - { status, code, transient }
+ */
+export function classifyError(error) {
+  const mapping = ERROR_MAPPINGS.find(m => m.match(error));
+  if (mapping) {
+    return { status: mapping.status, code: mapping.code, transient: mapping.transient };
+  }
+  return { status: 502, code: error.code || 'LLM_ERROR', transient: false };
+}
+
+/**
+ * Attente avant une nouvelle tentative
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Combine plusieurs signaux d'annulation : le signal obtenu est annulé dès que l'un d'eux l'est
+ * (équivalent d'AbortSignal.any, absent avant Node 20.3)
+ * @param {Array<AbortSignal>} signals
+ * @returns {Object} - { signal, cleanup } ; cleanup retire les écouteurs une fois l'appel terminé
+ */
+function anySignal(signals) {
+  const controller = new AbortController();
+  const listeners = [];
+
+  for (const source of signals) {
+    if (source.aborted) {
+      controller.abort(source.reason);
+      break;
+    }
+    const onAbort = () => controller.abort(source.reason);
+    source.addEventListener('abort', onAbort, { once: true });
+    listeners.push([source, onAbort]);
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => listeners.forEach(([source, onAbort]) => source.removeEventListener('abort', onAbort)),
+  };
+}
+
+/**
+ * Délai réarmable : le signal est annulé si le délai s'écoule sans nouvel appel à reset(),
+ * sans jamais dépasser l'échéance globale
+ * @param {number} timeoutMs - Délai d'inactivité
+ * @param {number} deadline - Échéance globale (timestamp en ms)
+ * @returns {Object} - { signal, reset, clear }
+ */
+function createTimer(timeoutMs, deadline) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const reset = () => {
+    clearTimeout(timer);
+    const delay = Math.max(0, Math.min(timeoutMs, deadline - Date.now()));
+    timer = setTimeout(() => controller.abort(new DOMException('Délai dépassé', 'TimeoutError')), delay);
+  };
+  reset();
+
+  return {
+    signal: controller.signal,
+    reset,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * Service d'accès au modèle de langage
+ * Le fournisseur (OpenAI, serveur compatible OpenAI, mock) est choisi via LLM_PROVIDER
+ */
 class OpenAIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  /**
+   * @param {Object} provider - Fournisseur (voir services/providers)
+   */
+  constructor(provider) {
+    this.provider = provider;
 
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.model = process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
     this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1000;
     this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7;
+
+    // Résilience : délai max d'une tentative (en streaming, entre deux fragments), durée
+    // totale d'un appel (tentatives et modèles de repli compris), tentatives sur erreurs
+    // transitoires, modèles de repli. Hors streaming, la durée totale doit tenir dans
+    // maxDuration de vercel.json (10 s)
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 8000;
+    this.deadlineMs = parseInt(process.env.LLM_DEADLINE_MS) || 8000;
+    this.streamDeadlineMs = parseInt(process.env.LLM_STREAM_DEADLINE_MS) || 60000;
+    this.maxRetries = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2;
+    this.retryBaseMs = parseInt(process.env.LLM_RETRY_BASE_MS) || 500;
+    this.fallbackModels = (process.env.LLM_FALLBACK_MODELS || '')
+      .split(',')
+      .map(m => m.trim())
+      .filter(Boolean);
+
+    // Modèles acceptant des images dans les messages (pièces jointes)
+    this.visionModels = (process.env.LLM_VISION_MODELS || 'gpt-4o,gpt-4o-mini,gpt-4.1,gpt-4.1-mini')
+      .split(',')
+      .map(m => m.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Indique si un modèle accepte des images
+   * @param {string} model - Nom du modèle (modèle par défaut si omis)
+   * @returns {boolean}
+   */
+  supportsVision(model = this.model) {
+    return this.visionModels.includes(model);
+  }
+
+  /**
+   * Modèles à essayer dans l'ordre : modèle demandé puis modèles de repli
+   * @param {Object} options - Options de l'appel
+   * @returns {Array<string>}
+   */
+  getModelChain(options) {
+    const primary = options.model || this.model;
+    return [primary, ...this.fallbackModels.filter(m => m !== primary)];
+  }
+
+  /**
+   * Exécute un appel avec délai maximal, tentatives et modèles de repli
+   * Aucune tentative ni attente de backoff ne dépasse l'échéance globale de l'appel
+   * @param {Object} options - Options de l'appel (signal du client éventuel)
+   * @param {Function} attempt - (model, signal, keepAlive) => Promise, un essai auprès du fournisseur ;
+   *   keepAlive() réarme le délai de la tentative (à chaque fragment reçu en streaming)
+   * @param {Object} limits - { canRetry: () => boolean, false pour interdire toute nouvelle tentative ;
+   *   deadlineMs : durée totale de l'appel }
+   * @returns {Promise<*>} - Résultat du premier essai réussi
+   */
+  async withResilience(options, attempt, { canRetry = () => true, deadlineMs = this.deadlineMs } = {}) {
+    const deadline = Date.now() + deadlineMs;
+    let lastError;
+
+    for (const model of this.getModelChain(options)) {
+      for (let retry = 0; retry <= this.maxRetries; retry++) {
+        if (lastError && Date.now() >= deadline) {
+          throw lastError;
+        }
+
+        const timer = createTimer(this.timeoutMs, deadline);
+        const { signal, cleanup } = anySignal(options.signal ? [options.signal, timer.signal] : [timer.signal]);
+
+        const started = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+
+        try {
+          const result = await attempt(model, signal, timer.reset);
+          llmDuration.observe({ provider: this.provider.name, model, outcome: 'success' }, elapsed());
+          return result;
+        } catch (error) {
+          if (options.signal?.aborted) {
+            llmDuration.observe({ provider: this.provider.name, model, outcome: 'aborted' }, elapsed());
+            throw error;
+          }
+
+          error.timedOut = timer.signal.aborted;
+          lastError = error;
+          const { transient, code } = classifyError(error);
+          llmDuration.observe({ provider: this.provider.name, model, outcome: code }, elapsed());
+
+          if (!canRetry()) {
+            throw error;
+          }
+          if (!transient) {
+            break; // Erreur définitive pour ce modèle : on passe au modèle de repli
+          }
+          if (retry < this.maxRetries) {
+            const delay = this.retryBaseMs * 2 ** retry * (1 + Math.random() * 0.2);
+            if (Date.now() + delay >= deadline) {
+              throw error; // Plus le temps d'une nouvelle tentative
+            }
+            logger.warn('Nouvelle tentative auprès du modèle', {
+              provider: this.provider.name, model, code, error: error.message, delayMs: Math.round(delay),
+            });
+            await sleep(delay);
+          }
+        } finally {
+          timer.clear();
+          cleanup();
+        }
+      }
+    }
+
+    throw lastError;
   }
 
   /**
-   * Envoie une requête à l'API OpenAI avec l'historique des messages
+   * Formate un échec pour les routes
+   * @param {Error} error - Dernière erreur du fournisseur
+   * @returns {Object} - { success: false, error, code, status }
+   */
+  formatError(error) {
+    const { status, code } = classifyError(error);
+    errors.inc({ source: 'llm', code });
+    return {
+      success: false,
+      error: error.message,
+      code,
+      status,
+    };
+  }
+
+  /**
+   * Paramètres communs à tous les fournisseurs
+   * @param {Array} messages - Historique des messages
+   * @param {Object} options - Options de l'appel
+   * @returns {Object}
+   */
+  buildParams(messages, options) {
+    return {
+      model: options.model || this.model,
+      messages,
+      maxTokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      responseFormat: options.responseFormat,
+      signal: options.signal,
+    };
+  }
+
+  /**
+   * Envoie une requête au modèle avec l'historique des messages
    * @param {Array} messages - Historique des messages [{role: 'user'|'assistant'|'system', content: string}]
-   * @param {Object} options - Options supplémentaires (temperature, maxTokens, etc.)
+   * @param {Object} options - Options supplémentaires (temperature, maxTokens, responseFormat, etc.)
    * @returns {Promise<Object>} - Réponse de l'API avec le texte et les métadonnées
    */
   async chat(messages, options = {}) {
     try {
-      const response = await this.client.chat.completions.create({
-        model: options.model || this.model,
-        messages: messages,
-        max_tokens: options.maxTokens || this.maxTokens,
-        temperature: options.temperature !== undefined ? options.temperature : this.temperature,
-        n: 1,
-      });
+      const response = await this.withResilience(options, (model, signal) => (
+        this.provider.complete(this.buildParams(messages, { ...options, model, signal }))
+      ));
 
+      recordTokens(this.provider.name, response.model, response.usage);
       return {
         success: true,
-        message: response.choices[0].message.content,
-        role: response.choices[0].message.role,
-        usage: {
-          promptTokens: response.usage.prompt_tokens,
-          completionTokens: response.usage.completion_tokens,
-          totalTokens: response.usage.total_tokens,
-        },
-        model: response.model,
+        ...response,
       };
     } catch (error) {
-      console.error('Erreur OpenAI API:', error);
+      logger.error('Erreur API du modèle', { provider: this.provider.name, error });
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Envoie une requête en mode streaming : les tokens sont transmis au fur et à mesure
+   * @param {Array} messages - Historique des messages [{role, content}]
+   * @param {Object} options - Options supplémentaires (temperature, maxTokens, signal, etc.)
+   * @param {Function} onDelta - Callback appelé pour chaque fragment de texte reçu
+   * @returns {Promise<Object>} - Réponse complète avec le texte et les métadonnées
+   */
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    let content = '';
+
+    try {
+      // Le délai s'applique entre deux fragments : une longue réponse qui progresse n'est
+      // interrompue que par la durée totale du streaming (LLM_STREAM_DEADLINE_MS)
+      return await this.withResilience(options, async (model, signal, keepAlive) => {
+        const params = this.buildParams(messages, { ...options, model, signal });
+        let usage = null;
+        let responseModel = model;
+
+        for await (const event of this.provider.stream(params)) {
+          keepAlive();
+          if (event.delta) {
+            content += event.delta;
+            onDelta(event.delta);
+          } else {
+            usage = event.usage;
+            responseModel = event.model || responseModel;
+          }
+        }
+
+        recordTokens(this.provider.name, responseModel, usage);
+        return {
+          success: true,
+          message: content,
+          role: 'assistant',
+          usage,
+          model: responseModel,
+        };
+      }, {
+        // Une fois des tokens envoyés au client, on ne peut plus retenter sans dupliquer le texte
+        canRetry: () => content === '',
+        deadlineMs: this.streamDeadlineMs,
+      });
+    } catch (error) {
+      logger.error('Erreur API du modèle (stream)', { provider: this.provider.name, error });
       return {
-        success: false,
-        error: error.message,
-        code: error.code || 'UNKNOWN_ERROR',
+        ...this.formatError(error),
+        partial: content,
       };
     }
   }
 
   /**
-   * Vérifie que la clé API est configurée
+   * Vérifie que le fournisseur actif est utilisable (clé API ou URL configurée)
    * @returns {boolean}
    */
   isConfigured() {
-    return !!process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here';
+    return this.provider.isConfigured();
+  }
+
+  /**
+   * Décrit le fournisseur actif
+   * @returns {Object} - { provider, model, vision, configured, baseURL? }
+   */
+  describe() {
+    return {
+      ...this.provider.describe(),
+      model: this.model,
+      vision: this.supportsVision(),
+    };
   }
 }
 
-export default new OpenAIService();
+export { OpenAIService };
+
+export default new OpenAIService(createProvider());
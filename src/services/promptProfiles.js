@@ -0,0 +1,204 @@
+import { createStore } from './storage/index.js';
+import { SYSTEM_PROMPTS, PromptBuilder } from '../prompts/promptTemplates.js';
+import { validateFields } from './validation.js';
+import { validatePolicy } from './modelPolicy.js';
+
+/**
+ * Profils de prompt : persona du bot (prompt système) et réglages du modèle par défaut
+ * Les enseignants en ajoutent sans redéploiement ; les trois prompts historiques
+ * sont fournis comme profils intégrés
+ */
+
+const BUILT_IN_DESCRIPTIONS = {
+  TP_ASSISTANT: { name: 'Assistant TP', description: 'Assistant général pour les TP' },
+  PROGRAMMING_TUTOR: { name: 'Tuteur de programmation', description: 'Tuteur spécialisé en programmation' },
+  DEBUG_HELPER: { name: 'Aide au débogage', description: 'Assistant de débogage' },
+};
+
+/**
+ * Schéma des champs d'un profil
+ */
+const PROFILE_FIELDS = {
+  id: { type: 'string', required: true, pattern: /^[A-Z][A-Z0-9_]{2,49}$/ },
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  systemPrompt: { type: 'string', required: true, maxLength: 20000, validate: PromptBuilder.validateTemplate },
+  defaultModel: { type: 'string', maxLength: 100 },
+  temperature: { type: 'number', min: 0, max: 2 },
+  maxTokens: { type: 'number', integer: true, min: 1, max: 16000 },
+  // Limites des options de modèle pour les sessions du profil (voir services/modelPolicy)
+  policy: { type: 'object', validate: validatePolicy },
+};
+
+/**
+ * Valide un profil de prompt
+ * @param {Object} data - Données envoyées par l'enseignant
+ * @param {Object} options - { partial: true } pour une mise à jour partielle
+ * @returns {Array<string>} - Liste des erreurs (vide si valide)
+ */
+export function validateProfile(data, { partial = false } = {}) {
+  const errors = validateFields(PROFILE_FIELDS, data, { partial });
+
+  if (partial && data?.id !== undefined) {
+    errors.push('id ne peut pas être modifié');
+  }
+
+  return errors;
+}
+
+class PromptProfiles {
+  /**
+   * @param {Object} store - Adaptateur de stockage (voir services/storage)
+   */
+  constructor(store) {
+    this.store = store;
+    this.seeding = null;
+  }
+
+  /**
+   * Enregistre les profils intégrés absents du stockage
+   * Appelé avant chaque accès : une instance serverless démarre parfois sur un stockage vide
+   * @returns {Promise<void>}
+   */
+  async seed() {
+    if (!this.seeding) {
+      this.seeding = Promise.all(Object.entries(SYSTEM_PROMPTS).map(async ([id, systemPrompt]) => {
+        if (!(await this.store.get(id))) {
+          await this.store.set(id, this.build({ id, systemPrompt, ...BUILT_IN_DESCRIPTIONS[id] }, true));
+        }
+      })).catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+    return this.seeding;
+  }
+
+  /**
+   * Construit un profil (version 1)
+   * @param {Object} data - Définition validée
+   * @param {boolean} builtIn - Profil intégré (non supprimable)
+   * @returns {Object}
+   */
+  build(data, builtIn = false) {
+    const now = new Date().toISOString();
+    return {
+      id: data.id,
+      name: data.name,
+      description: data.description || '',
+      systemPrompt: data.systemPrompt,
+      defaultModel: data.defaultModel || null,
+      temperature: data.temperature ?? null,
+      maxTokens: data.maxTokens ?? null,
+      policy: data.policy || {},
+      builtIn,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      history: [],
+    };
+  }
+
+  /**
+   * Crée un profil
+   * @param {Object} data - Définition validée
+   * @returns {Promise<Object|null>} - Profil créé ou null si l'identifiant est déjà pris
+   */
+  async create(data) {
+    await this.seed();
+
+    if (await this.store.get(data.id)) {
+      return null;
+    }
+
+    const profile = this.build(data);
+    await this.store.set(profile.id, profile);
+    return profile;
+  }
+
+  /**
+   * Récupère un profil
+   * @param {string} profileId - Identifiant (promptType)
+   * @returns {Promise<Object|null>} - Profil ou null s'il n'existe pas
+   */
+  async get(profileId) {
+    await this.seed();
+    return this.store.get(profileId);
+  }
+
+  /**
+   * Liste les profils (sans l'historique des versions)
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    await this.seed();
+    const profiles = await this.store.values();
+    return profiles
+      .map(({ history, ...profile }) => profile)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Met à jour un profil et incrémente sa version
+   * @param {string} profileId - Identifiant
+   * @param {Object} changes - Champs validés à modifier
+   * @returns {Promise<Object|null>} - Profil mis à jour ou null s'il n'existe pas
+   */
+  async update(profileId, changes) {
+    await this.seed();
+    return this.store.withLock(profileId, async () => {
+      const profile = await this.store.get(profileId);
+
+      if (!profile) {
+        return null;
+      }
+
+      const { history, ...previous } = profile;
+      const updated = {
+        ...profile,
+        ...changes,
+        version: profile.version + 1,
+        updatedAt: new Date().toISOString(),
+        history: [...history, previous],
+      };
+
+      await this.store.set(profileId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Supprime un profil (la route refuse au préalable les profils intégrés)
+   * @param {string} profileId - Identifiant
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async delete(profileId) {
+    await this.seed();
+    return this.store.delete(profileId);
+  }
+
+  /**
+   * Options de modèle par défaut d'un profil (seules les valeurs définies)
+   * @param {Object} profile - Profil
+   * @returns {Object} - { model?, temperature?, maxTokens? }
+   */
+  static toOptions(profile) {
+    const options = {};
+
+    if (profile?.defaultModel) {
+      options.model = profile.defaultModel;
+    }
+    if (profile?.temperature != null) {
+      options.temperature = profile.temperature;
+    }
+    if (profile?.maxTokens != null) {
+      options.maxTokens = profile.maxTokens;
+    }
+
+    return options;
+  }
+}
+
+export { PromptProfiles };
+
+export default new PromptProfiles(createStore('prompt-profiles'));
@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import { OpenAIProvider } from './openaiProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+dotenv.config();
+
+/**
+ * Sélection du fournisseur de modèle selon la configuration
+ *
+ * LLM_PROVIDER : 'openai' (défaut), 'compatible' ou 'mock'
+ * LLM_BASE_URL : URL d'un serveur compatible OpenAI (ex: http://localhost:11434/v1)
+ * LLM_API_KEY  : clé du serveur compatible, si nécessaire
+ *
+ * Tous les fournisseurs exposent : complete(params), stream(params),
+ * isConfigured(), describe()
+ */
+
+const PROVIDERS = {
+  openai: () => new OpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+  }),
+  compatible: () => new OpenAIProvider({
+    name: 'compatible',
+    apiKey: process.env.LLM_API_KEY,
+    baseURL: process.env.LLM_BASE_URL,
+    requiresApiKey: false,
+  }),
+  mock: () => new MockProvider(),
+};
+
+/**
+ * Crée le fournisseur configuré
+ * @returns {OpenAIProvider|MockProvider}
+ */
+export function createProvider() {
+  const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`LLM_PROVIDER inconnu : ${name} (valeurs possibles : ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return factory();
+}
+
+export { OpenAIProvider, MockProvider };
+
+export default {
+  createProvider,
+};
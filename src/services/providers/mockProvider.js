@@ -0,0 +1,115 @@
+/**
+ * Fournisseur factice et déterministe, pour les tests et les démonstrations hors ligne
+ * La réponse dépend uniquement du dernier message reçu
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimation grossière du nombre de tokens
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Texte d'un message, y compris un contenu en parties (texte et images)
+ * @param {string|Array} content
+ * @returns {string}
+ */
+function textOf(content) {
+  if (!Array.isArray(content)) {
+    return String(content || '');
+  }
+  return content.map(part => (part.type === 'text' ? part.text : '[image]')).join(' ');
+}
+
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Le fournisseur factice est toujours utilisable
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Construit la réponse factice
+   * @param {Object} params - { messages, responseFormat }
+   * @returns {string}
+   */
+  buildAnswer({ messages, responseFormat }) {
+    const last = textOf(messages[messages.length - 1]?.content);
+    const excerpt = last.replace(/\s+/g, ' ').slice(0, 80);
+
+    if (responseFormat === 'json_object') {
+      return JSON.stringify({
+        positives: [`Réponse factice pour : ${excerpt}`],
+        improvements: ['Point d\'amélioration factice'],
+        questions: ['Question factice ?'],
+        resources: ['Ressource factice'],
+      });
+    }
+
+    return `[mock] Réponse à : "${excerpt}"`;
+  }
+
+  /**
+   * Génère une réponse complète
+   * @param {Object} params - { model, messages, responseFormat }
+   * @returns {Promise<Object>} - { message, role, usage, model }
+   */
+  async complete(params) {
+    const message = this.buildAnswer(params);
+    const promptTokens = params.messages.reduce((sum, m) => sum + countTokens(textOf(m.content)), 0);
+    const completionTokens = countTokens(message);
+
+    return {
+      message,
+      role: 'assistant',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+      model: 'mock',
+    };
+  }
+
+  /**
+   * Génère une réponse en streaming, mot par mot
+   * @param {Object} params - Mêmes paramètres que complete()
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *stream(params) {
+    const { message, usage, model } = await this.complete(params);
+
+    for (const word of message.split(/(?<= )/)) {
+      if (params.signal?.aborted) {
+        return;
+      }
+      yield { delta: word };
+    }
+
+    yield { usage, model };
+  }
+
+  /**
+   * Description du fournisseur pour /health
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      provider: this.name,
+      configured: true,
+    };
+  }
+}
+
+export default MockProvider;
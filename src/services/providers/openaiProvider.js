@@ -0,0 +1,133 @@
+import OpenAI from 'openai';
+
+/**
+ * Fournisseur OpenAI (ou compatible OpenAI via une baseURL : Ollama, llama.cpp, vLLM...)
+ */
+
+export class OpenAIProvider {
+  /**
+   * @param {Object} config - { name, apiKey, baseURL, requiresApiKey }
+   */
+  constructor({ name = 'openai', apiKey, baseURL, requiresApiKey = true }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.requiresApiKey = requiresApiKey;
+    this.client = null;
+  }
+
+  /**
+   * Indique si le fournisseur est utilisable
+   * @returns {boolean}
+   */
+  isConfigured() {
+    if (this.requiresApiKey) {
+      return !!this.apiKey && this.apiKey !== 'your_openai_api_key_here';
+    }
+    return !!this.baseURL;
+  }
+
+  /**
+   * Client du SDK, créé au premier appel (le SDK refuse une clé absente)
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        maxRetries: 0, // Les tentatives sont gérées par OpenAIService
+        ...(this.baseURL && { baseURL: this.baseURL }),
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Paramètres de requête au format Chat Completions
+   * @param {Object} params - { model, messages, maxTokens, temperature, responseFormat }
+   * @returns {Object}
+   */
+  buildRequest({ model, messages, maxTokens, temperature, responseFormat }) {
+    return {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      n: 1,
+      ...(responseFormat && { response_format: { type: responseFormat } }),
+    };
+  }
+
+  /**
+   * Génère une réponse complète
+   * @param {Object} params - { model, messages, maxTokens, temperature, responseFormat, signal }
+   * @returns {Promise<Object>} - { message, role, usage, model }
+   */
+  async complete(params) {
+    const response = await this.getClient().chat.completions.create(
+      this.buildRequest(params),
+      { signal: params.signal }
+    );
+
+    return {
+      message: response.choices[0].message.content,
+      role: response.choices[0].message.role,
+      usage: response.usage ? {
+        promptTokens: response.usage.prompt_tokens,
+        completionTokens: response.usage.completion_tokens,
+        totalTokens: response.usage.total_tokens,
+      } : null,
+      model: response.model,
+    };
+  }
+
+  /**
+   * Génère une réponse en streaming
+   * @param {Object} params - Mêmes paramètres que complete()
+   * @returns {AsyncGenerator<Object>} - { delta } pour chaque fragment, puis { usage, model }
+   */
+  async *stream(params) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.buildRequest(params),
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal: params.signal });
+
+    let model = params.model;
+    let usage = null;
+
+    for await (const chunk of stream) {
+      model = chunk.model || model;
+
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield { delta };
+      }
+
+      // Le dernier chunk (sans choices) porte l'usage quand include_usage est actif
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+          totalTokens: chunk.usage.total_tokens,
+        };
+      }
+    }
+
+    yield { usage, model };
+  }
+
+  /**
+   * Description du fournisseur pour /health
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      provider: this.name,
+      ...(this.baseURL && { baseURL: this.baseURL }),
+      configured: this.isConfigured(),
+    };
+  }
+}
+
+export default OpenAIProvider;
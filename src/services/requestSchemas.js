@@ -0,0 +1,160 @@
+import promptProfiles, { validateProfile } from './promptProfiles.js';
+import { validateTp, STUDENT_LEVELS } from './tpCatalog.js';
+import { validateFeedback } from './feedback.js';
+import { INTERACTION_MODES } from '../prompts/promptTemplates.js';
+
+/**
+ * Schémas des requêtes de l'API, appliqués par le middleware validateRequest
+ * Une entrée par route : { params?, query?, body? }, chaque partie étant un schéma
+ * de champs (voir services/validation) ou une fonction (valeur, req) => erreurs
+ * Les champs inconnus sont refusés, y compris dans la query string
+ */
+
+const ID = { type: 'string', required: true, maxLength: 100 };
+const OPTIONAL_ID = { type: 'string', maxLength: 100 };
+const BOOLEAN_QUERY = { type: 'string', enum: ['true', 'false'] };
+
+const SESSION_PARAMS = { sessionId: ID };
+
+/**
+ * Champs communs aux routes qui envoient un message au modèle
+ * La longueur du message est contrôlée par la modération du TP (413 MESSAGE_TOO_LONG),
+ * les options par la politique du modèle (400 INVALID_OPTIONS)
+ * et les pièces jointes par services/attachments
+ */
+const MESSAGE_FIELDS = {
+  message: { type: 'string', required: true },
+  mode: { type: 'string', enum: Object.values(INTERACTION_MODES) },
+  level: { type: 'string', enum: STUDENT_LEVELS },
+  options: { type: 'object' },
+  attachments: { type: 'array' },
+};
+
+/**
+ * Filtres du tableau de bord (dates vérifiées par la route)
+ */
+const DASHBOARD_QUERY = {
+  tpId: OPTIONAL_ID,
+  classId: OPTIONAL_ID,
+  userId: OPTIONAL_ID,
+  from: { type: 'string', maxLength: 40 },
+  to: { type: 'string', maxLength: 40 },
+  activeWithin: { type: 'string', pattern: /^[1-9]\d{0,5}$/ },
+  flagged: BOOLEAN_QUERY,
+  archived: BOOLEAN_QUERY,
+};
+
+/**
+ * Vérifie que le profil de prompt demandé par un TP existe
+ * @param {*} promptType - Valeur reçue (ignorée si absente ou invalide, déjà signalée par validateTp)
+ * @returns {Promise<Array<string>>} - Erreurs
+ */
+async function checkPromptType(promptType) {
+  if (typeof promptType !== 'string' || !promptType || await promptProfiles.get(promptType)) {
+    return [];
+  }
+  return [`Profil de prompt inconnu : ${promptType}`];
+}
+
+export const REQUEST_SCHEMAS = {
+  login: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, maxLength: 200 },
+    },
+  },
+  me: { query: {} },
+  cronSessions: { query: {} },
+
+  // Catalogue des TP
+  listTps: { query: {} },
+  createTp: {
+    body: async data => [...validateTp(data), ...await checkPromptType(data.promptType)],
+  },
+  getTp: { params: { tpId: ID } },
+  updateTp: {
+    params: { tpId: ID },
+    body: async data => [...validateTp(data, { partial: true }), ...await checkPromptType(data.promptType)],
+  },
+  deleteTp: { params: { tpId: ID } },
+
+  // Sessions et messages
+  createSession: { body: { tpId: ID } },
+  chat: { body: { sessionId: ID, ...MESSAGE_FIELDS } },
+  chatStream: { body: { sessionId: ID, ...MESSAGE_FIELDS } },
+  regenerate: {
+    params: SESSION_PARAMS,
+    body: { options: MESSAGE_FIELDS.options },
+  },
+  editMessage: {
+    params: { sessionId: ID, messageId: ID },
+    body: MESSAGE_FIELDS,
+  },
+  codeReview: {
+    params: SESSION_PARAMS,
+    // Contenu et taille des fichiers vérifiés par services/codeReview (413 au-delà des limites)
+    body: { files: { type: 'array', required: true } },
+  },
+  hint: {
+    params: SESSION_PARAMS,
+    body: {
+      exerciseId: { type: 'string', required: true, maxLength: 50 },
+      message: { type: 'string' },
+    },
+  },
+  checkExercise: {
+    params: { sessionId: ID, exerciseId: ID },
+    // Taille maximale vérifiée par la route (413 CODE_TOO_LARGE)
+    body: { code: { type: 'string', required: true, pattern: /\S/ } },
+  },
+  feedback: {
+    params: { sessionId: ID, messageId: ID },
+    body: data => validateFeedback(data),
+  },
+  history: {
+    params: SESSION_PARAMS,
+    query: { branch: OPTIONAL_ID },
+  },
+  attachment: { params: { sessionId: ID, attachmentId: ID } },
+  branches: { params: SESSION_PARAMS },
+  activateBranch: { params: { sessionId: ID, branchId: ID }, body: {} },
+  interventions: { params: SESSION_PARAMS },
+  exportSession: {
+    params: SESSION_PARAMS,
+    query: {
+      format: { type: 'string', enum: ['markdown', 'json', 'csv'] },
+      includeSystem: BOOLEAN_QUERY,
+    },
+  },
+  reset: { params: SESSION_PARAMS, body: {} },
+  resume: { params: SESSION_PARAMS, body: {} },
+  deleteSession: { params: SESSION_PARAMS },
+  stats: { params: SESSION_PARAMS },
+
+  // Consommation et tableau de bord
+  usageMe: { query: {} },
+  classUsage: { params: { classId: ID } },
+  dashboardSessions: { query: DASHBOARD_QUERY },
+  dashboardAnalytics: {
+    query: { ...DASHBOARD_QUERY, topics: { type: 'string', enum: ['keywords', 'model'] } },
+  },
+  dashboardExport: {
+    query: {
+      ...DASHBOARD_QUERY,
+      format: { type: 'string', enum: ['jsonl', 'csv'] },
+      includeSystem: BOOLEAN_QUERY,
+    },
+  },
+
+  // Profils de prompt
+  listPrompts: { query: {} },
+  createPrompt: { body: data => validateProfile(data) },
+  getPrompt: { params: { profileId: ID } },
+  updatePrompt: {
+    params: { profileId: ID },
+    body: data => validateProfile(data, { partial: true }),
+  },
+  deletePrompt: { params: { profileId: ID } },
+};
+
+export default REQUEST_SCHEMAS;
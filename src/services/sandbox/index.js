@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import { runJavascript } from './javascriptRunner.js';
+
+dotenv.config();
+
+/**
+ * Exécution des tests d'exercices rédigés par les enseignants
+ *
+ * Chaque langage a son exécuteur : runner(submission, limits) → { results, error? }
+ * Le code de l'étudiant tourne dans un thread séparé, avec délai et mémoire bornés
+ */
+
+export const SANDBOX_LIMITS = {
+  timeoutMs: parseInt(process.env.SANDBOX_TIMEOUT_MS) || 1000,        // Par test
+  totalTimeoutMs: parseInt(process.env.SANDBOX_TOTAL_TIMEOUT_MS) || 5000,
+  memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 64,
+  maxCodeChars: parseInt(process.env.SANDBOX_MAX_CODE_CHARS) || 20000,
+};
+
+const RUNNERS = {
+  javascript: runJavascript,
+};
+
+export const SANDBOX_LANGUAGES = Object.keys(RUNNERS);
+
+/**
+ * Exécute le code d'un étudiant sur les tests d'un exercice
+ * @param {Object} submission - { language, code, entry, tests: [{ name, args }] }
+ * @returns {Promise<Object>} - { results: [{ name, value?, error?, logs, durationMs }], error? }
+ */
+export async function runSandbox({ language = 'javascript', ...submission }) {
+  const runner = RUNNERS[language];
+
+  if (!runner) {
+    throw new Error(`Langage non pris en charge : ${language}`);
+  }
+
+  return runner(submission, SANDBOX_LIMITS);
+}
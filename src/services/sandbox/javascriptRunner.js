@@ -0,0 +1,62 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Lance les tests JavaScript dans un worker aux ressources limitées
+ * Le worker est terminé au délai total, à la limite de mémoire ou à la fin des tests
+ * @param {Object} submission - { code, entry, tests: [{ name, args }] }
+ * @param {Object} limits - { timeoutMs, totalTimeoutMs, memoryMb }
+ * @returns {Promise<Object>} - { results: [{ name, value?, error?, logs, durationMs }], error? }
+ */
+export function runJavascript({ code, entry, tests }, limits) {
+  return new Promise((resolve) => {
+    const results = [];
+    let settled = false;
+
+    const worker = new Worker(new URL('./javascriptWorker.js', import.meta.url), {
+      workerData: { code, entry, tests: tests.map(({ name, args }) => ({ name, args })), timeoutMs: limits.timeoutMs },
+      resourceLimits: {
+        maxOldGenerationSizeMb: limits.memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.round(limits.memoryMb / 4)),
+        stackSizeMb: 4,
+      },
+      // Ni variables d'environnement (clés API) ni sorties partagées avec le serveur
+      env: {},
+      execArgv: [],
+      stdout: true,
+      stderr: true,
+    });
+
+    // Les tests non exécutés reprennent l'erreur qui a interrompu le worker
+    const finish = (error = null) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+
+      const missing = tests.slice(results.length).map(test => ({ name: test.name, error, logs: [], durationMs: 0 }));
+      resolve({ results: [...results, ...missing], ...(error && { error }) });
+    };
+
+    const timer = setTimeout(() => finish(`Délai total dépassé (${limits.totalTimeoutMs} ms)`), limits.totalTimeoutMs);
+
+    worker.on('message', (message) => {
+      if (message.type === 'result') {
+        results.push(message.result);
+      } else if (message.type === 'compile-error') {
+        finish(message.error);
+      } else if (message.type === 'done') {
+        finish();
+      }
+    });
+    worker.on('error', (error) => {
+      finish(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Limite de mémoire dépassée (${limits.memoryMb} Mo)`
+        : `Erreur d'exécution : ${error.message}`);
+    });
+    worker.on('exit', () => finish('Exécution interrompue'));
+  });
+}
+
+export default runJavascript;
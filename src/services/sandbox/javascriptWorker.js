@@ -0,0 +1,120 @@
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+import { setImmediate } from 'timers/promises';
+
+/**
+ * Exécute les tests d'un exercice JavaScript dans un thread dédié
+ * Chaque test part d'un contexte neuf, sans require, process ni accès réseau ;
+ * les arguments et les résultats traversent la frontière du contexte en JSON
+ * pour ne jamais exposer d'objets de l'hôte au code de l'étudiant
+ */
+
+const { code, entry, tests, timeoutMs } = workerData;
+
+const MAX_LOGS = 20;
+
+// Console propre au contexte : les sorties sont collectées sans fonction de l'hôte
+const PRELUDE = new vm.Script(`
+globalThis.__logs = [];
+globalThis.console = {};
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+  console[level] = (...args) => {
+    if (__logs.length < ${MAX_LOGS}) {
+      __logs.push(args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ').slice(0, 500));
+    }
+  };
+}
+`);
+
+/**
+ * Message lisible d'une erreur levée dans le contexte
+ * @param {*} error - Valeur levée
+ * @returns {string}
+ */
+function errorMessage(error) {
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return `Délai dépassé (${timeoutMs} ms)`;
+  }
+  const name = typeof error?.name === 'string' ? `${error.name} : ` : '';
+  return `${name}${String(error?.message ?? error)}`.slice(0, 500);
+}
+
+/**
+ * Lit une valeur du contexte sous forme de chaîne JSON (seules des primitives en sortent)
+ * @param {Object} context - Contexte vm
+ * @param {string} expression - Expression évaluée dans le contexte
+ * @returns {*} - Valeur décodée, ou null si elle n'est pas lisible
+ */
+function read(context, expression) {
+  try {
+    const serialized = vm.runInContext(`JSON.stringify(${expression})`, context, { timeout: timeoutMs });
+    return typeof serialized === 'string' ? JSON.parse(serialized) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exécute un test dans un contexte neuf
+ * Le résultat, éventuellement asynchrone, est attendu dans le contexte lui-même :
+ * l'hôte ne fait que relire __outcome, sans jamais appeler de fonction de l'étudiant
+ * @param {vm.Script} solution - Code de l'étudiant compilé
+ * @param {Object} test - { name, args }
+ * @returns {Promise<Object>} - { name, value?, error?, logs, durationMs }
+ */
+async function runTest(solution, test) {
+  // Objet sans prototype : un objet de l'hôte donnerait accès à son Function via constructor
+  const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+  const started = Date.now();
+  const done = outcome => ({ name: test.name, ...outcome, logs: read(context, '__logs') || [], durationMs: Date.now() - started });
+
+  try {
+    PRELUDE.runInContext(context);
+    solution.runInContext(context, { timeout: timeoutMs });
+
+    const args = JSON.stringify(JSON.stringify(test.args || []));
+    vm.runInContext(`
+      globalThis.__outcome = null;
+      if (typeof ${entry} !== 'function') {
+        throw new Error('la fonction ${entry} n\\'est pas définie');
+      }
+      Promise.resolve(${entry}(...JSON.parse(${args}))).then(
+        value => {
+          try {
+            __outcome = { value: JSON.parse(JSON.stringify(value === undefined ? null : value)) };
+          } catch {
+            __outcome = { error: 'valeur renvoyée non convertible en JSON' };
+          }
+        },
+        error => { __outcome = { error: String((error && error.message) || error) }; }
+      );
+    `, context, { timeout: timeoutMs });
+  } catch (error) {
+    return done({ error: errorMessage(error) });
+  }
+
+  // Une boucle infinie après un await bloque ce thread : le parent le termine au délai total
+  while (Date.now() - started < timeoutMs) {
+    await setImmediate();
+    const outcome = read(context, '__outcome');
+    if (outcome) {
+      return done(outcome.error !== undefined ? { error: String(outcome.error).slice(0, 500) } : { value: outcome.value });
+    }
+  }
+
+  return done({ error: `Délai dépassé (${timeoutMs} ms)` });
+}
+
+let solution;
+try {
+  solution = new vm.Script(code, { filename: 'solution.js' });
+} catch (error) {
+  parentPort.postMessage({ type: 'compile-error', error: errorMessage(error) });
+}
+
+if (solution) {
+  for (const test of tests) {
+    parentPort.postMessage({ type: 'result', result: await runTest(solution, test) });
+  }
+  parentPort.postMessage({ type: 'done' });
+}
@@ -0,0 +1,107 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Cycle de vie des sessions
+ *
+ * active → idle (sans activité depuis SESSION_IDLE_MINUTES, simple indication)
+ *        → archived (sans activité depuis SESSION_ARCHIVE_DAYS : lecture seule,
+ *          hors des listes actives, toujours consultable par les enseignants)
+ *        → purgée (SESSION_RETENTION_DAYS après l'archivage)
+ *
+ * Les transitions sont appliquées à la lecture d'une session et par la route
+ * de maintenance (cron) : aucun minuteur n'est nécessaire, ce qui convient au serverless
+ * Une durée à 0 désactive l'étape correspondante
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const SESSION_STATES = {
+  ACTIVE: 'active',
+  IDLE: 'idle',
+  ARCHIVED: 'archived',
+};
+
+/**
+ * Lit une durée dans l'environnement (0 accepté)
+ * @param {string} name - Nom de la variable
+ * @param {number} defaultValue - Valeur par défaut
+ * @returns {number}
+ */
+function readDuration(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+export const SESSION_LIFECYCLE = {
+  idleMinutes: readDuration('SESSION_IDLE_MINUTES', 30),
+  archiveAfterDays: readDuration('SESSION_ARCHIVE_DAYS', 7),
+  retentionDays: readDuration('SESSION_RETENTION_DAYS', 180),
+};
+
+/**
+ * Date ISO décalée d'une durée, ou null si la durée est désactivée
+ * @param {number} time - Date de départ (ms)
+ * @param {number} amount - Durée dans l'unité (0 : désactivée)
+ * @param {number} unit - Unité en ms
+ * @returns {string|null}
+ */
+function after(time, amount, unit) {
+  return amount > 0 ? new Date(time + amount * unit).toISOString() : null;
+}
+
+/**
+ * Calcule l'état d'une session et les échéances de son cycle de vie
+ * Une session archivée explicitement garde sa date d'archivage ; sinon l'archivage
+ * dû est daté de la fin du délai d'inactivité
+ * @param {Object} conversation - Conversation (lastActivity, archivedAt)
+ * @param {Object} limits - { idleMinutes, archiveAfterDays, retentionDays }
+ * @param {Date} now - Date de référence
+ * @returns {Object} - { state, idleSince, archiveAt, archivedAt, purgeAt, due }
+ *   due : transition à enregistrer ('archive' ou 'purge'), null sinon
+ */
+export function getLifecycle(conversation, limits = SESSION_LIFECYCLE, now = new Date()) {
+  const lastActivity = new Date(conversation.lastActivity).getTime();
+  const archiveAt = conversation.archivedAt ? null : after(lastActivity, limits.archiveAfterDays, DAY);
+  const archivedAt = conversation.archivedAt
+    || (archiveAt && new Date(archiveAt) <= now ? archiveAt : null);
+
+  if (archivedAt) {
+    const purgeAt = after(new Date(archivedAt).getTime(), limits.retentionDays, DAY);
+    const purgeDue = purgeAt && new Date(purgeAt) <= now;
+
+    return {
+      state: SESSION_STATES.ARCHIVED,
+      idleSince: null,
+      archiveAt: null,
+      archivedAt,
+      purgeAt,
+      due: purgeDue ? 'purge' : conversation.archivedAt ? null : 'archive',
+    };
+  }
+
+  const idleSince = after(lastActivity, limits.idleMinutes, MINUTE);
+  const idle = idleSince && new Date(idleSince) <= now;
+
+  return {
+    state: idle ? SESSION_STATES.IDLE : SESSION_STATES.ACTIVE,
+    idleSince: idle ? idleSince : null,
+    archiveAt,
+    archivedAt: null,
+    purgeAt: null,
+    due: null,
+  };
+}
+
+/**
+ * État public d'une session (stats, tableau de bord)
+ * @param {Object} conversation - Conversation
+ * @param {Object} limits - Durées du cycle de vie
+ * @returns {Object} - { state, idleSince, archiveAt, archivedAt, purgeAt }
+ */
+export function describeLifecycle(conversation, limits = SESSION_LIFECYCLE) {
+  const { due, ...lifecycle } = getLifecycle(conversation, limits);
+  return lifecycle;
+}
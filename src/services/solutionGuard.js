@@ -0,0 +1,223 @@
+import dotenv from 'dotenv';
+import openaiService from './openaiService.js';
+import { PromptBuilder } from '../prompts/promptTemplates.js';
+
+dotenv.config();
+
+/**
+ * Garde-fou post-génération contre la fuite de solutions
+ * Vérifie les réponses du modèle (longueur des blocs de code, similarité avec
+ * la solution de référence du TP), régénère avec une consigne plus stricte
+ * puis, en dernier recours, masque le code fautif
+ */
+
+const DEFAULT_MAX_CODE_LINES = parseInt(process.env.GUARDRAIL_MAX_CODE_LINES) || 15;
+const SIMILARITY_THRESHOLD = parseFloat(process.env.GUARDRAIL_SIMILARITY_THRESHOLD) || 0.5;
+const SHINGLE_SIZE = 4; // Taille des n-grammes de tokens comparés
+const REDACTION_NOTICE = '[code retiré : le bot ne donne pas la solution, essaie de l\'écrire toi-même]';
+
+/**
+ * Extrait les blocs de code Markdown d'un texte
+ * @param {string} text
+ * @returns {Array<Object>} - [{ raw, code, lines }]
+ */
+export function extractCodeBlocks(text) {
+  const blocks = [];
+  const pattern = /```[^\n]*\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = pattern.exec(String(text))) !== null) {
+    const code = match[1];
+    blocks.push({
+      raw: match[0],
+      code,
+      lines: code.split('\n').filter(line => line.trim()).length,
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Découpe du code en tokens normalisés (commentaires et espaces ignorés)
+ * @param {string} code
+ * @returns {Array<string>}
+ */
+function tokenize(code) {
+  return String(code)
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(\/\/|#).*$/gm, ' ')
+    .match(/[A-Za-z_$][\w$]*|\d+|[^\s\w]/g) || [];
+}
+
+/**
+ * Similarité entre un extrait et la solution de référence
+ * Proportion des n-grammes de l'extrait présents dans la référence
+ * @param {string} code - Extrait produit par le modèle
+ * @param {string} reference - Solution de référence du TP
+ * @returns {number} - Entre 0 et 1
+ */
+export function similarity(code, reference) {
+  const shingles = (tokens) => {
+    const set = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+      set.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return set;
+  };
+
+  const candidate = shingles(tokenize(code));
+  if (candidate.size === 0) {
+    return 0;
+  }
+
+  const ref = shingles(tokenize(reference));
+  let shared = 0;
+  for (const shingle of candidate) {
+    if (ref.has(shingle)) {
+      shared++;
+    }
+  }
+
+  return shared / candidate.size;
+}
+
+/**
+ * Vérifie une réponse selon les règles du TP
+ * @param {string} text - Réponse du modèle
+ * @param {Object} tp - TP de la session (maxCodeLines, referenceSolution), peut être null
+ * @returns {Array<Object>} - Violations [{ rule, block, detail }]
+ */
+export function checkResponse(text, tp) {
+  const maxCodeLines = tp?.maxCodeLines ?? DEFAULT_MAX_CODE_LINES;
+  const violations = [];
+
+  for (const block of extractCodeBlocks(text)) {
+    if (maxCodeLines > 0 && block.lines > maxCodeLines) {
+      violations.push({
+        rule: 'max_code_lines',
+        block,
+        detail: `${block.lines} lignes de code (maximum ${maxCodeLines})`,
+      });
+      continue;
+    }
+
+    if (tp?.referenceSolution) {
+      const score = similarity(block.code, tp.referenceSolution);
+      if (score >= SIMILARITY_THRESHOLD) {
+        violations.push({
+          rule: 'reference_similarity',
+          block,
+          detail: `similarité ${score.toFixed(2)} avec la solution de référence`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Masque les blocs de code en infraction
+ * @param {string} text - Réponse du modèle
+ * @param {Array} violations - Violations issues de checkResponse
+ * @returns {string}
+ */
+export function redact(text, violations) {
+  return violations.reduce((result, { block }) => result.replace(block.raw, REDACTION_NOTICE), text);
+}
+
+/**
+ * Format par défaut des réponses : texte Markdown vérifié et masqué tel quel
+ * Une réponse structurée (revue de code en JSON) fournit son propre format
+ * { toText(message), redact(message, violations) }
+ */
+export const MARKDOWN_FORMAT = {
+  toText: message => message,
+  redact: (message, violations) => redact(message, violations),
+};
+
+/**
+ * Applique le garde-fou à une réponse complète
+ * @param {Object} params - { response, messages, options, tp, allowRegenerate, format }
+ *   response : réponse réussie d'openaiService.chat
+ *   messages : messages envoyés au modèle (pour la régénération)
+ *   format : lecture et masquage de la réponse (MARKDOWN_FORMAT par défaut)
+ * @returns {Promise<Object>} - { response, intervention } ; intervention est null si la réponse est conforme
+ */
+export async function guardResponse({
+  response,
+  messages,
+  options = {},
+  tp,
+  allowRegenerate = true,
+  format = MARKDOWN_FORMAT,
+}) {
+  const violations = checkResponse(format.toText(response.message), tp);
+  if (violations.length === 0) {
+    return { response, intervention: null };
+  }
+
+  const intervention = {
+    timestamp: new Date().toISOString(),
+    rules: violations.map(v => ({ rule: v.rule, detail: v.detail })),
+    action: 'redacted',
+  };
+
+  // Première mesure : régénérer avec une consigne plus stricte
+  if (allowRegenerate) {
+    const retry = await openaiService.chat([
+      ...messages,
+      { role: 'system', content: PromptBuilder.buildStrictGuardInstruction(tp?.maxCodeLines ?? DEFAULT_MAX_CODE_LINES) },
+    ], options);
+
+    if (retry.success) {
+      const usage = mergeUsage(response.usage, retry.usage);
+      const remaining = checkResponse(format.toText(retry.message), tp);
+
+      if (remaining.length === 0) {
+        return {
+          response: { ...retry, usage },
+          intervention: { ...intervention, action: 'regenerated' },
+        };
+      }
+
+      return {
+        response: { ...retry, message: format.redact(retry.message, remaining), usage },
+        intervention: { ...intervention, action: 'regenerated_and_redacted' },
+      };
+    }
+  }
+
+  // Dernier recours : masquer le code fautif
+  return {
+    response: { ...response, message: format.redact(response.message, violations) },
+    intervention,
+  };
+}
+
+/**
+ * Additionne l'usage de deux appels
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+function mergeUsage(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+  };
+}
+
+export default {
+  extractCodeBlocks,
+  similarity,
+  checkResponse,
+  redact,
+  MARKDOWN_FORMAT,
+  guardResponse,
+};
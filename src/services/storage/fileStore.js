@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { KeyedLock, sleep } from './keyedLock.js';
+
+/**
+ * Adaptateur de stockage sur fichiers JSON
+ * Un fichier par élément dans <baseDir>/<namespace>/, ce qui permet aux
+ * sessions de survivre aux redémarrages. Le répertoire est local à l'instance :
+ * pour partager les sessions entre instances (serverless), il doit être monté
+ * sur un volume commun, sinon utiliser le driver 'kv'
+ *
+ * Les lectures-modifications-écritures (withLock) sont sérialisées par clé dans
+ * le processus et, entre processus, par un fichier <clé>.lock créé de façon exclusive
+ */
+
+const LOCK_TIMEOUT_MS = 5000; // Attente maximale d'un verrou
+const LOCK_STALE_MS = 30000;  // Verrou abandonné (processus arrêté) repris au-delà
+const LOCK_RETRY_MS = 20;
+
+export class FileStore {
+  /**
+   * @param {string} baseDir - Répertoire racine des données
+   * @param {string} namespace - Sous-répertoire de la collection
+   */
+  constructor(baseDir, namespace) {
+    this.dir = path.resolve(baseDir, namespace);
+    this.ready = null;
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Crée le répertoire de la collection au premier accès
+   * @returns {Promise<void>}
+   */
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Chemin du fichier associé à une clé
+   * @param {string} key - Clé de l'élément
+   * @returns {string}
+   */
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Récupère un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<Object|null>} - Élément ou null s'il n'existe pas
+   */
+  async get(key) {
+    await this.ensureDir();
+    try {
+      const raw = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Enregistre (ou remplace) un élément
+   * L'écriture passe par un fichier temporaire puis un renommage atomique
+   * @param {string} key - Clé de l'élément
+   * @param {Object} value - Valeur sérialisable
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.ensureDir();
+    const target = this.filePath(key);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value), 'utf8');
+    await fs.rename(tmp, target);
+  }
+
+  /**
+   * Exécute une lecture-modification-écriture sans qu'une autre opération
+   * verrouillée sur la même clé ne s'intercale, y compris depuis un autre processus
+   * @param {string} key - Clé de l'élément
+   * @param {Function} fn - Opération asynchrone (utilise get/set)
+   * @returns {Promise<*>} - Résultat de l'opération
+   */
+  async withLock(key, fn) {
+    return this.locks.run(key, async () => {
+      const lockPath = `${this.filePath(key)}.lock`;
+      await this.acquireFileLock(lockPath);
+      try {
+        return await fn();
+      } finally {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Crée le fichier de verrou, en attendant qu'il soit libéré s'il existe déjà
+   * @param {string} lockPath - Chemin du fichier de verrou
+   * @returns {Promise<void>}
+   */
+  async acquireFileLock(lockPath) {
+    await this.ensureDir();
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Verrou de stockage non obtenu : ${path.basename(lockPath)}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Supprime un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<boolean>} - true si l'élément existait
+   */
+  async delete(key) {
+    await this.ensureDir();
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Liste les clés de la collection
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    await this.ensureDir();
+    const files = await fs.readdir(this.dir);
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+  }
+
+  /**
+   * Liste tous les éléments de la collection
+   * @returns {Promise<Array>}
+   */
+  async values() {
+    const items = [];
+
+    for (const key of await this.keys()) {
+      const item = await this.get(key);
+      if (item) {
+        items.push(item);
+      }
+    }
+
+    return items;
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import { MemoryStore } from './memoryStore.js';
+import { FileStore } from './fileStore.js';
+import { KvStore } from './kvStore.js';
+
+dotenv.config();
+
+/**
+ * Sélection de l'adaptateur de stockage selon la configuration
+ *
+ * STORAGE_DRIVER : 'memory' (défaut), 'file' ou 'kv'
+ * STORAGE_DIR    : répertoire des données pour le driver 'file' (défaut ./data)
+ * KV_REST_API_URL, KV_REST_API_TOKEN : base Redis du driver 'kv' (Vercel KV, Upstash)
+ * KV_PREFIX      : préfixe des clés Redis (défaut bot-tp)
+ *
+ * Tous les adaptateurs exposent la même interface asynchrone :
+ * get(key), set(key, value), delete(key), keys(), values(),
+ * withLock(key, fn) pour les lectures-modifications-écritures concurrentes
+ */
+
+const DRIVERS = {
+  memory: () => new MemoryStore(),
+  file: (namespace) => new FileStore(process.env.STORAGE_DIR || './data', namespace),
+  kv: (namespace) => new KvStore({
+    url: process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+    prefix: process.env.KV_PREFIX || 'bot-tp',
+  }, namespace),
+};
+
+/**
+ * Crée un store pour une collection donnée
+ * @param {string} namespace - Nom de la collection (ex: 'conversations')
+ * @returns {MemoryStore|FileStore|KvStore}
+ */
+export function createStore(namespace) {
+  const driver = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+  const factory = DRIVERS[driver];
+
+  if (!factory) {
+    throw new Error(`STORAGE_DRIVER inconnu : ${driver} (valeurs possibles : ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return factory(namespace);
+}
+
+export { MemoryStore, FileStore, KvStore };
+
+export default {
+  createStore,
+};
@@ -0,0 +1,46 @@
+/**
+ * Verrou par clé au sein d'un processus
+ * Les opérations sur une même clé s'exécutent l'une après l'autre, dans l'ordre
+ * d'arrivée ; les opérations sur des clés différentes restent parallèles
+ */
+
+export class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Exécute une opération quand les précédentes sur la même clé sont terminées
+   * @param {string} key - Clé verrouillée
+   * @param {Function} fn - Opération asynchrone
+   * @returns {Promise<*>} - Résultat de l'opération
+   */
+  async run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const tail = new Promise(resolve => { release = resolve; });
+    const chained = previous.then(() => tail);
+    this.tails.set(key, chained);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.tails.get(key) === chained) {
+        this.tails.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Attend un délai
+ * @param {number} ms - Durée en millisecondes
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default KeyedLock;
@@ -0,0 +1,176 @@
+import { randomUUID } from 'crypto';
+import { KeyedLock, sleep } from './keyedLock.js';
+
+/**
+ * Adaptateur de stockage Redis via l'API REST d'Upstash (Vercel KV, Upstash Redis)
+ * Partagé entre toutes les instances : c'est le driver à utiliser en serverless,
+ * où le disque n'est ni persistant ni commun aux instances
+ *
+ * Chaque élément est une chaîne JSON sous <prefix>:<namespace>:<clé> ; un set
+ * <prefix>:<namespace>:__keys indexe les clés de la collection. Les écritures
+ * passent par une transaction (MULTI/EXEC) pour garder l'index cohérent
+ *
+ * Les lectures-modifications-écritures (withLock) sont sérialisées par un verrou
+ * Redis (SET NX PX) libéré uniquement par son détenteur
+ */
+
+const REQUEST_TIMEOUT_MS = 5000;
+const LOCK_TIMEOUT_MS = 5000; // Attente maximale d'un verrou
+const LOCK_TTL_MS = 30000;    // Expiration d'un verrou abandonné (instance arrêtée)
+const LOCK_RETRY_MS = 25;
+const MGET_BATCH = 100;
+
+// Supprime le verrou seulement s'il appartient encore à l'appelant
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+export class KvStore {
+  /**
+   * @param {Object} config - { url, token, prefix }
+   * @param {string} namespace - Nom de la collection
+   */
+  constructor({ url, token, prefix = 'bot-tp' }, namespace) {
+    if (!url || !token) {
+      throw new Error('Le driver kv nécessite KV_REST_API_URL et KV_REST_API_TOKEN');
+    }
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this.prefix = `${prefix}:${namespace}:`;
+    this.indexKey = `${this.prefix}__keys`;
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Envoie une requête à l'API REST
+   * @param {string} path - '' (commande seule), '/pipeline' ou '/multi-exec'
+   * @param {Array} body - Commande ou liste de commandes
+   * @returns {Promise<*>} - Résultat de la commande ou liste des résultats
+   */
+  async request(path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data || data.error) {
+      throw new Error(`Erreur du stockage kv : ${data?.error || response.status}`);
+    }
+
+    if (Array.isArray(data)) {
+      const failed = data.find(item => item.error);
+      if (failed) {
+        throw new Error(`Erreur du stockage kv : ${failed.error}`);
+      }
+      return data.map(item => item.result);
+    }
+    return data.result;
+  }
+
+  /**
+   * Exécute une commande Redis
+   * @param {...*} args - Commande et arguments (ex: 'GET', clé)
+   * @returns {Promise<*>}
+   */
+  command(...args) {
+    return this.request('', args);
+  }
+
+  /**
+   * Récupère un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<Object|null>} - Élément ou null s'il n'existe pas
+   */
+  async get(key) {
+    const raw = await this.command('GET', this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Enregistre (ou remplace) un élément
+   * @param {string} key - Clé de l'élément
+   * @param {Object} value - Valeur sérialisable
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.request('/multi-exec', [
+      ['SET', this.prefix + key, JSON.stringify(value)],
+      ['SADD', this.indexKey, key],
+    ]);
+  }
+
+  /**
+   * Supprime un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<boolean>} - true si l'élément existait
+   */
+  async delete(key) {
+    const [deleted] = await this.request('/multi-exec', [
+      ['DEL', this.prefix + key],
+      ['SREM', this.indexKey, key],
+    ]);
+    return deleted > 0;
+  }
+
+  /**
+   * Liste les clés de la collection
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return this.command('SMEMBERS', this.indexKey);
+  }
+
+  /**
+   * Liste tous les éléments de la collection (lus par lots)
+   * @returns {Promise<Array>}
+   */
+  async values() {
+    const keys = await this.keys();
+    const items = [];
+
+    for (let i = 0; i < keys.length; i += MGET_BATCH) {
+      const batch = keys.slice(i, i + MGET_BATCH).map(key => this.prefix + key);
+      for (const raw of await this.command('MGET', ...batch)) {
+        if (raw !== null) {
+          items.push(JSON.parse(raw));
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Exécute une lecture-modification-écriture sans qu'une autre opération
+   * verrouillée sur la même clé ne s'intercale, quelle que soit l'instance
+   * @param {string} key - Clé de l'élément
+   * @param {Function} fn - Opération asynchrone (utilise get/set)
+   * @returns {Promise<*>} - Résultat de l'opération
+   */
+  async withLock(key, fn) {
+    return this.locks.run(key, async () => {
+      const lockKey = `${this.prefix}__lock:${key}`;
+      const owner = randomUUID();
+      const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+      while (await this.command('SET', lockKey, owner, 'NX', 'PX', LOCK_TTL_MS) !== 'OK') {
+        if (Date.now() > deadline) {
+          throw new Error(`Verrou de stockage non obtenu : ${key}`);
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await this.command('EVAL', RELEASE_SCRIPT, 1, lockKey, owner).catch(() => {});
+      }
+    });
+  }
+}
+
+export default KvStore;
@@ -0,0 +1,72 @@
+import { KeyedLock } from './keyedLock.js';
+
+/**
+ * Adaptateur de stockage en mémoire
+ * Rapide mais non persistant : les données sont perdues au redémarrage
+ * et ne sont pas partagées entre instances (serverless)
+ */
+
+export class MemoryStore {
+  constructor() {
+    this.items = new Map();
+    this.locks = new KeyedLock();
+  }
+
+  /**
+   * Récupère un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<Object|null>} - Copie de l'élément ou null
+   */
+  async get(key) {
+    const item = this.items.get(key);
+    return item ? structuredClone(item) : null;
+  }
+
+  /**
+   * Enregistre (ou remplace) un élément
+   * @param {string} key - Clé de l'élément
+   * @param {Object} value - Valeur sérialisable
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.items.set(key, structuredClone(value));
+  }
+
+  /**
+   * Exécute une lecture-modification-écriture sans qu'une autre opération
+   * verrouillée sur la même clé ne s'intercale
+   * @param {string} key - Clé de l'élément
+   * @param {Function} fn - Opération asynchrone (utilise get/set)
+   * @returns {Promise<*>} - Résultat de l'opération
+   */
+  async withLock(key, fn) {
+    return this.locks.run(key, fn);
+  }
+
+  /**
+   * Supprime un élément
+   * @param {string} key - Clé de l'élément
+   * @returns {Promise<boolean>} - true si l'élément existait
+   */
+  async delete(key) {
+    return this.items.delete(key);
+  }
+
+  /**
+   * Liste les clés du store
+   * @returns {Promise<Array<string>>}
+   */
+  async keys() {
+    return Array.from(this.items.keys());
+  }
+
+  /**
+   * Liste tous les éléments du store
+   * @returns {Promise<Array>} - Copies des éléments
+   */
+  async values() {
+    return Array.from(this.items.values(), item => structuredClone(item));
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,178 @@
+import { createStore } from './storage/index.js';
+import { validateModerationConfig } from './inputModeration.js';
+import { validatePolicy } from './modelPolicy.js';
+import { validateFields } from './validation.js';
+import { validateExercises, toPublicExercise } from './exercises.js';
+
+/**
+ * Catalogue des TP rédigés par les enseignants
+ * Les étudiants ouvrent une session à partir d'un tpId : le contexte
+ * pédagogique vient du catalogue et non plus du frontend
+ */
+
+export const STUDENT_LEVELS = ['débutant', 'intermédiaire', 'avancé'];
+
+/**
+ * Schéma des champs d'un TP : type attendu, obligatoire ou non, longueur ou bornes
+ */
+const TP_FIELDS = {
+  subject: { type: 'string', required: true, maxLength: 200 },
+  objectives: { type: 'string', required: true, maxLength: 2000 },
+  level: { type: 'string', required: true, enum: STUDENT_LEVELS },
+  constraints: { type: 'string', maxLength: 2000 },
+  // Profil de prompt (voir services/promptProfiles), vérifié par la route
+  promptType: { type: 'string', maxLength: 50 },
+  solutionNotes: { type: 'string', maxLength: 10000 },
+  // Garde-fou anti-fuite de solution (jamais injecté dans le prompt)
+  referenceSolution: { type: 'string', maxLength: 50000 },
+  maxCodeLines: { type: 'number', integer: true, min: 0, max: 500 },
+  // Règles de filtrage des messages étudiants (voir services/inputModeration)
+  moderation: { type: 'object', validate: validateModerationConfig },
+  // Limites des options de modèle pour ce TP (voir services/modelPolicy)
+  policy: { type: 'object', validate: validatePolicy },
+  // Exercices, indices rédigés et tests de correction (voir services/exercises)
+  exercises: { type: 'array', validate: validateExercises },
+};
+
+/**
+ * Valide une définition de TP (l'existence du profil promptType est vérifiée à part)
+ * @param {Object} data - Données envoyées par l'enseignant
+ * @param {Object} options - { partial: true } pour une mise à jour partielle
+ * @returns {Array<string>} - Liste des erreurs (vide si valide)
+ */
+export function validateTp(data, { partial = false } = {}) {
+  return validateFields(TP_FIELDS, data, { partial });
+}
+
+class TpCatalog {
+  /**
+   * @param {Object} store - Adaptateur de stockage (voir services/storage)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Crée un TP (version 1)
+   * @param {Object} data - Définition validée du TP
+   * @returns {Promise<Object>} - TP créé
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const tp = {
+      id: `tp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      subject: data.subject,
+      objectives: data.objectives,
+      level: data.level,
+      constraints: data.constraints || '',
+      promptType: data.promptType || 'TP_ASSISTANT',
+      solutionNotes: data.solutionNotes || '',
+      referenceSolution: data.referenceSolution || '',
+      maxCodeLines: data.maxCodeLines ?? null,
+      moderation: data.moderation || {},
+      policy: data.policy || {},
+      exercises: data.exercises || [],
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      history: [],
+    };
+
+    await this.store.set(tp.id, tp);
+    return tp;
+  }
+
+  /**
+   * Récupère un TP
+   * @param {string} tpId - Identifiant du TP
+   * @returns {Promise<Object|null>} - TP ou null s'il n'existe pas
+   */
+  async get(tpId) {
+    return this.store.get(tpId);
+  }
+
+  /**
+   * Liste les TP du catalogue (sans l'historique des versions)
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const tps = await this.store.values();
+    return tps
+      .map(({ history, ...tp }) => tp)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Met à jour un TP et incrémente sa version
+   * La version précédente est conservée dans l'historique pour que les
+   * sessions ouvertes sur une ancienne version restent interprétables
+   * @param {string} tpId - Identifiant du TP
+   * @param {Object} changes - Champs validés à modifier
+   * @returns {Promise<Object|null>} - TP mis à jour ou null s'il n'existe pas
+   */
+  async update(tpId, changes) {
+    return this.store.withLock(tpId, async () => {
+      const tp = await this.store.get(tpId);
+
+      if (!tp) {
+        return null;
+      }
+
+      const { history, ...previous } = tp;
+      const updated = {
+        ...tp,
+        ...changes,
+        version: tp.version + 1,
+        updatedAt: new Date().toISOString(),
+        history: [...history, previous],
+      };
+
+      await this.store.set(tpId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Supprime un TP
+   * @param {string} tpId - Identifiant du TP
+   * @returns {Promise<boolean>} - Succès de l'opération
+   */
+  async delete(tpId) {
+    return this.store.delete(tpId);
+  }
+
+  /**
+   * Vue d'un TP destinée aux étudiants (sans notes, solution de référence, indices rédigés,
+   * tests cachés ni historique), ni réglages des garde-fous : les motifs de modération
+   * et les limites du modèle indiqueraient comment les contourner
+   * @param {Object} tp - TP du catalogue
+   * @returns {Object}
+   */
+  static toPublic(tp) {
+    const { solutionNotes, referenceSolution, maxCodeLines, moderation, policy, history, ...publicTp } = tp;
+    return {
+      ...publicTp,
+      exercises: (tp.exercises || []).map(toPublicExercise),
+    };
+  }
+
+  /**
+   * Construit le contexte de session à partir d'un TP
+   * @param {Object} tp - TP du catalogue
+   * @returns {Object} - Contexte attendu par PromptBuilder.buildSystemPrompt
+   */
+  static toContext(tp) {
+    return {
+      tpSubject: tp.subject,
+      tpObjectives: tp.objectives,
+      studentLevel: tp.level,
+      constraints: tp.constraints,
+      solutionNotes: tp.solutionNotes,
+      exercises: (tp.exercises || []).map(exercise => `${exercise.id} : ${exercise.title}`),
+    };
+  }
+}
+
+export { TpCatalog };
+
+export default new TpCatalog(createStore('tps'));
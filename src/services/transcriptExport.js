@@ -0,0 +1,149 @@
+/**
+ * Export des transcriptions de conversation (Markdown, JSON, JSONL, CSV)
+ */
+
+export const EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+const ROLE_LABELS = {
+  system: 'Prompt système',
+  user: 'Étudiant',
+  assistant: 'Assistant',
+};
+
+const CSV_COLUMNS = ['sessionId', 'userId', 'classId', 'tpId', 'tpVersion', 'index', 'role', 'mode', 'timestamp', 'content'];
+
+/**
+ * Messages à exporter
+ * @param {Object} conversation - Conversation complète
+ * @param {Object} options - { includeSystem }
+ * @returns {Array}
+ */
+function exportedMessages(conversation, { includeSystem = false } = {}) {
+  return conversation.messages.filter(m => includeSystem || m.role !== 'system');
+}
+
+/**
+ * Échappe une valeur CSV (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Transcription Markdown, prête à coller dans un compte rendu de TP
+ * @param {Object} conversation - Conversation complète
+ * @param {Object} options - { includeSystem }
+ * @returns {string}
+ */
+export function toMarkdown(conversation, options = {}) {
+  const { context = {}, tpId } = conversation.metadata || {};
+  const lines = [
+    `# ${context.tpSubject ? `Conversation - ${context.tpSubject}` : 'Conversation'}`,
+    '',
+    `- Session : ${conversation.id}`,
+    ...(tpId ? [`- TP : ${tpId}`] : []),
+    `- Créée le : ${conversation.createdAt}`,
+    `- Dernière activité : ${conversation.lastActivity}`,
+  ];
+
+  for (const message of exportedMessages(conversation, options)) {
+    const mode = message.mode && message.mode !== 'chat' ? ` [${message.mode}]` : '';
+    lines.push('', `## ${ROLE_LABELS[message.role] || message.role}${mode}`, `_${message.timestamp}_`, '', message.content);
+
+    const files = (message.attachments || []).map(id => conversation.attachments?.[id]?.name).filter(Boolean);
+    if (files.length > 0) {
+      lines.push('', `_Pièces jointes : ${files.join(', ')}_`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Représentation JSON d'une conversation
+ * @param {Object} conversation - Conversation complète
+ * @param {Object} options - { includeSystem }
+ * @returns {Object}
+ */
+export function toJson(conversation, options = {}) {
+  return {
+    sessionId: conversation.id,
+    createdAt: conversation.createdAt,
+    lastActivity: conversation.lastActivity,
+    metadata: conversation.metadata,
+    messages: exportedMessages(conversation, options),
+  };
+}
+
+/**
+ * Ligne d'en-tête CSV
+ * @returns {string}
+ */
+export function csvHeader() {
+  return `${CSV_COLUMNS.join(',')}\r\n`;
+}
+
+/**
+ * Lignes CSV d'une conversation (un message par ligne)
+ * @param {Object} conversation - Conversation complète
+ * @param {Object} options - { includeSystem }
+ * @returns {string}
+ */
+export function toCsvRows(conversation, options = {}) {
+  const { userId, classId, tpId, tpVersion } = conversation.metadata || {};
+
+  return exportedMessages(conversation, options)
+    .map((message, index) => [
+      conversation.id,
+      userId,
+      classId,
+      tpId,
+      tpVersion,
+      index,
+      message.role,
+      message.mode,
+      message.timestamp,
+      message.content,
+    ].map(csvValue).join(','))
+    .map(row => `${row}\r\n`)
+    .join('');
+}
+
+/**
+ * Export complet d'une conversation dans un format donné
+ * @param {Object} conversation - Conversation complète
+ * @param {string} format - markdown, json, jsonl ou csv
+ * @param {Object} options - { includeSystem }
+ * @returns {string}
+ */
+export function exportConversation(conversation, format, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(conversation, options);
+    case 'json':
+      return JSON.stringify(toJson(conversation, options), null, 2);
+    case 'jsonl':
+      return `${JSON.stringify(toJson(conversation, options))}\n`;
+    case 'csv':
+      return csvHeader() + toCsvRows(conversation, options);
+    default:
+      throw new Error(`Format d'export inconnu : ${format}`);
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  toMarkdown,
+  toJson,
+  csvHeader,
+  toCsvRows,
+  exportConversation,
+};
@@ -0,0 +1,305 @@
+import dotenv from 'dotenv';
+import { createStore } from './storage/index.js';
+
+dotenv.config();
+
+/**
+ * Comptabilisation de la consommation de tokens et limitation de débit
+ * Un enregistrement par portée (session, étudiant, classe) contient les
+ * totaux par jour et par semaine ; les limites sont configurées via l'env
+ * (0 = illimité)
+ */
+
+const RETENTION_DAYS = 28; // Historique conservé dans chaque enregistrement
+
+/**
+ * Lit une limite numérique dans l'environnement
+ * @param {string} name - Nom de la variable
+ * @param {number} defaultValue - Valeur par défaut
+ * @returns {number}
+ */
+function readLimit(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Clé du jour courant (UTC)
+ * @param {Date} date
+ * @returns {string} - ex: 2025-12-04
+ */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Clé de la semaine ISO courante
+ * @param {Date} date
+ * @returns {string} - ex: 2025-W49
+ */
+function weekKey(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Date de remise à zéro d'une période
+ * @param {Date} date
+ * @param {string} period - 'day' ou 'week'
+ * @returns {string} - Date ISO
+ */
+function periodEnd(date, period) {
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  if (period === 'week') {
+    const dayNum = date.getUTCDay() || 7;
+    end.setUTCDate(end.getUTCDate() + 7 - dayNum);
+  }
+  return end.toISOString();
+}
+
+class UsageTracker {
+  /**
+   * @param {Object} store - Adaptateur de stockage (voir services/storage)
+   */
+  constructor(store) {
+    this.store = store;
+    this.limits = {
+      student: {
+        day: readLimit('QUOTA_STUDENT_DAILY_TOKENS', 50000),
+        week: readLimit('QUOTA_STUDENT_WEEKLY_TOKENS', 200000),
+      },
+      class: {
+        day: readLimit('QUOTA_CLASS_DAILY_TOKENS', 1000000),
+        week: readLimit('QUOTA_CLASS_WEEKLY_TOKENS', 4000000),
+      },
+    };
+    this.requestsPerMinute = readLimit('RATE_LIMIT_REQUESTS_PER_MINUTE', 10);
+  }
+
+  /**
+   * Récupère (ou initialise) l'enregistrement d'une portée
+   * @param {string} scope - 'session', 'student' ou 'class'
+   * @param {string} id - Identifiant dans la portée
+   * @returns {Promise<Object>}
+   */
+  async getRecord(scope, id) {
+    const key = `${scope}:${id}`;
+    return (await this.store.get(key)) || {
+      key,
+      scope,
+      id,
+      totalTokens: 0,
+      requests: 0,
+      days: {},
+      weeks: {},
+      recentRequests: [],
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Vérifie les quotas d'un utilisateur avant un appel au modèle
+   * Si la requête est acceptée, elle est comptée dans la fenêtre de débit
+   * @param {Object} user - Utilisateur authentifié (req.user)
+   * @returns {Promise<Object>} - { allowed, quota, retryAfter }
+   */
+  async checkQuota(user) {
+    // Lecture et mise à jour de la fenêtre de débit sous verrou : des requêtes
+    // parallèles (ou sur d'autres instances avec le driver kv) ne peuvent pas la dépasser
+    return this.store.withLock(`student:${user.id}`, async () => {
+      const now = new Date();
+      const student = await this.getRecord('student', user.id);
+
+      // Limitation de débit (fenêtre glissante d'une minute)
+      const windowStart = now.getTime() - 60 * 1000;
+      student.recentRequests = student.recentRequests.filter(t => t > windowStart);
+
+      if (this.requestsPerMinute > 0 && student.recentRequests.length >= this.requestsPerMinute) {
+        const retryAfter = Math.ceil((student.recentRequests[0] + 60 * 1000 - now.getTime()) / 1000);
+        return {
+          allowed: false,
+          quota: {
+            scope: 'student',
+            period: 'minute',
+            limit: this.requestsPerMinute,
+            used: student.recentRequests.length,
+            remaining: 0,
+            resetAt: new Date(student.recentRequests[0] + 60 * 1000).toISOString(),
+          },
+          retryAfter,
+        };
+      }
+
+      // Budgets de tokens de l'étudiant puis de sa classe
+      const checks = [{ scope: 'student', record: student }];
+      for (const classId of user.classIds) {
+        checks.push({ scope: 'class', record: await this.getRecord('class', classId) });
+      }
+
+      for (const { scope, record } of checks) {
+        for (const period of ['day', 'week']) {
+          const limit = this.limits[scope][period];
+          const used = period === 'day' ? record.days[dayKey(now)] || 0 : record.weeks[weekKey(now)] || 0;
+
+          if (limit > 0 && used >= limit) {
+            const resetAt = periodEnd(now, period);
+            return {
+              allowed: false,
+              quota: { scope, id: record.id, period, limit, used, remaining: 0, resetAt },
+              retryAfter: Math.ceil((new Date(resetAt) - now) / 1000),
+            };
+          }
+        }
+      }
+
+      student.recentRequests.push(now.getTime());
+      await this.store.set(student.key, student);
+
+      return { allowed: true, quota: await this.getRemaining(user) };
+    });
+  }
+
+  /**
+   * Enregistre la consommation d'un échange
+   * @param {Object} target - { sessionId, userId, classId }
+   * @param {Object|null} usage - Usage retourné par openaiService (totalTokens)
+   * @returns {Promise<void>}
+   */
+  async record({ sessionId, userId, classId }, usage) {
+    const tokens = usage?.totalTokens || 0;
+    const now = new Date();
+    const targets = [['session', sessionId], ['student', userId], ['class', classId]]
+      .filter(([, id]) => id);
+
+    for (const [scope, id] of targets) {
+      await this.store.withLock(`${scope}:${id}`, async () => {
+        const record = await this.getRecord(scope, id);
+        record.totalTokens += tokens;
+        record.requests += 1;
+        record.days[dayKey(now)] = (record.days[dayKey(now)] || 0) + tokens;
+        record.weeks[weekKey(now)] = (record.weeks[weekKey(now)] || 0) + tokens;
+        record.updatedAt = now.toISOString();
+
+        if (scope === 'student' && classId) {
+          record.classId = classId;
+        }
+
+        this.prune(record, now);
+        await this.store.set(record.key, record);
+      });
+    }
+  }
+
+  /**
+   * Supprime les périodes plus anciennes que la rétention
+   * @param {Object} record - Enregistrement à nettoyer
+   * @param {Date} now
+   */
+  prune(record, now) {
+    const limit = new Date(now.getTime() - RETENTION_DAYS * 86400000);
+    for (const day of Object.keys(record.days)) {
+      if (day < dayKey(limit)) {
+        delete record.days[day];
+      }
+    }
+    for (const week of Object.keys(record.weeks)) {
+      if (week < weekKey(limit)) {
+        delete record.weeks[week];
+      }
+    }
+  }
+
+  /**
+   * Résume un enregistrement pour la période courante
+   * @param {Object} record
+   * @param {Object} limits - Limites { day, week } (optionnel)
+   * @returns {Object}
+   */
+  summarize(record, limits = null) {
+    const now = new Date();
+    const summary = {
+      totalTokens: record.totalTokens,
+      requests: record.requests,
+      today: record.days[dayKey(now)] || 0,
+      thisWeek: record.weeks[weekKey(now)] || 0,
+      lastActivity: record.updatedAt,
+    };
+
+    if (limits) {
+      summary.limits = {
+        day: limits.day || null,
+        week: limits.week || null,
+      };
+      summary.remaining = {
+        day: limits.day > 0 ? Math.max(0, limits.day - summary.today) : null,
+        week: limits.week > 0 ? Math.max(0, limits.week - summary.thisWeek) : null,
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Quotas restants d'un utilisateur et de ses classes
+   * @param {Object} user - Utilisateur authentifié
+   * @returns {Promise<Object>}
+   */
+  async getRemaining(user) {
+    const student = await this.getRecord('student', user.id);
+    const classes = {};
+
+    for (const classId of user.classIds) {
+      classes[classId] = this.summarize(await this.getRecord('class', classId), this.limits.class).remaining;
+    }
+
+    return {
+      student: this.summarize(student, this.limits.student).remaining,
+      classes,
+    };
+  }
+
+  /**
+   * Consommation d'une session
+   * @param {string} sessionId - Identifiant de la session
+   * @returns {Promise<Object>}
+   */
+  async getSessionUsage(sessionId) {
+    return this.summarize(await this.getRecord('session', sessionId));
+  }
+
+  /**
+   * Consommation d'un étudiant avec ses quotas
+   * @param {string} userId - Identifiant de l'étudiant
+   * @returns {Promise<Object>}
+   */
+  async getStudentUsage(userId) {
+    return this.summarize(await this.getRecord('student', userId), this.limits.student);
+  }
+
+  /**
+   * Vue agrégée d'une classe : total et détail par étudiant
+   * @param {string} classId - Identifiant de la classe
+   * @returns {Promise<Object>}
+   */
+  async getClassUsage(classId) {
+    const records = await this.store.values();
+    const students = records
+      .filter(r => r.scope === 'student' && r.classId === classId)
+      .map(r => ({ userId: r.id, ...this.summarize(r, this.limits.student) }))
+      .sort((a, b) => b.thisWeek - a.thisWeek);
+
+    return {
+      classId,
+      ...this.summarize(await this.getRecord('class', classId), this.limits.class),
+      students,
+    };
+  }
+}
+
+export { UsageTracker };
+
+export default new UsageTracker(createStore('usage'));
@@ -0,0 +1,73 @@
+/**
+ * Validation déclarative des corps de requête
+ * Chaque champ d'un schéma décrit son type, s'il est obligatoire et ses bornes :
+ * { type, required, maxLength, maxItems, enum, integer, min, max, pattern, validate }
+ * type vaut 'string', 'number', 'boolean', 'object' ou 'array'
+ */
+
+/**
+ * Valide un objet selon un schéma de champs
+ * @param {Object} schema - Règles par champ
+ * @param {Object} data - Données à valider
+ * @param {Object} options - { partial: true } pour une mise à jour partielle
+ * @returns {Array<string>} - Liste des erreurs (vide si valide)
+ */
+export function validateFields(schema, data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Le corps de la requête doit être un objet'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(data)) {
+    if (!schema[key]) {
+      errors.push(`Champ inconnu : ${key}`);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = data[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required && !partial) {
+        errors.push(`Champ requis : ${key}`);
+      }
+      continue;
+    }
+
+    if ((Array.isArray(value) ? 'array' : typeof value) !== rule.type) {
+      errors.push(`${key} doit être de type ${rule.type}`);
+      continue;
+    }
+
+    if (rule.validate) {
+      errors.push(...rule.validate(value).map(error => `${key}.${error}`));
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push(`${key} ne doit pas dépasser ${rule.maxLength} caractères`);
+    }
+
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push(`${key} ne doit pas dépasser ${rule.maxItems} éléments`);
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(`${key} a un format invalide`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${key} doit valoir : ${rule.enum.join(', ')}`);
+    }
+
+    if (rule.integer && !Number.isInteger(value)) {
+      errors.push(`${key} doit être un entier`);
+    }
+
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      errors.push(`${key} doit être compris entre ${rule.min} et ${rule.max}`);
+    }
+  }
+
+  return errors;
+}
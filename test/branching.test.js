@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationManager } from '../src/services/conversationManager.js';
+import { MemoryStore } from '../src/services/storage/memoryStore.js';
+import { ratedMessages } from '../src/services/feedback.js';
+
+const SESSION = 'session_test';
+
+/**
+ * Conversation de deux échanges : [system, q1, r1, q2, r2]
+ * @returns {Promise<ConversationManager>}
+ */
+async function createConversation() {
+  const manager = new ConversationManager(new MemoryStore(), { summarize: async () => null });
+  await manager.createConversation(SESSION, 'Tu es un assistant de TP.');
+  await manager.addMessage(SESSION, 'user', 'q1');
+  await manager.addMessage(SESSION, 'assistant', 'r1');
+  await manager.addMessage(SESSION, 'user', 'q2');
+  await manager.addMessage(SESSION, 'assistant', 'r2');
+  return manager;
+}
+
+const contents = messages => messages.slice(1).map(m => m.content);
+
+test('forkConversation crée une branche active et garde la branche d\'origine', async () => {
+  const manager = await createConversation();
+  const before = await manager.getConversation(SESSION);
+
+  const { branchId, messages } = await manager.forkConversation(SESSION, 3, [
+    { role: 'user', content: 'q2 modifiée' },
+    { role: 'assistant', content: 'r2 bis' },
+  ]);
+
+  assert.deepEqual(messages.map(m => m.content), ['q2 modifiée', 'r2 bis']);
+
+  const conversation = await manager.getConversation(SESSION);
+  assert.equal(conversation.activeBranch, branchId);
+  assert.deepEqual(contents(conversation.messages), ['q1', 'r1', 'q2 modifiée', 'r2 bis']);
+  assert.deepEqual(contents(ConversationManager.getBranchMessages(conversation, 'main')), ['q1', 'r1', 'q2', 'r2']);
+
+  const branch = conversation.branches[branchId];
+  assert.equal(branch.parentId, 'main');
+  assert.equal(branch.forkedFrom, before.messages[3].id);
+});
+
+test('listBranches décrit chaque branche et indique la branche active', async () => {
+  const manager = await createConversation();
+  const { branchId } = await manager.forkConversation(SESSION, 4, [{ role: 'assistant', content: 'r2 régénérée' }]);
+
+  const branches = ConversationManager.listBranches(await manager.getConversation(SESSION));
+
+  assert.deepEqual(branches.map(b => [b.id, b.messageCount, b.active]), [
+    ['main', 4, false],
+    [branchId, 4, true],
+  ]);
+});
+
+test('switchBranch restaure les messages de la branche demandée', async () => {
+  const manager = await createConversation();
+  const { branchId } = await manager.forkConversation(SESSION, 4, [{ role: 'assistant', content: 'r2 régénérée' }]);
+
+  assert.equal(await manager.switchBranch(SESSION, 'main'), true);
+  let conversation = await manager.getConversation(SESSION);
+  assert.equal(conversation.activeBranch, 'main');
+  assert.deepEqual(contents(conversation.messages), ['q1', 'r1', 'q2', 'r2']);
+
+  assert.equal(await manager.switchBranch(SESSION, branchId), true);
+  conversation = await manager.getConversation(SESSION);
+  assert.deepEqual(contents(conversation.messages), ['q1', 'r1', 'q2', 'r2 régénérée']);
+
+  assert.equal(await manager.switchBranch(SESSION, 'inconnue'), false);
+  assert.equal(await manager.switchBranch('absente', 'main'), null);
+});
+
+test('le résumé n\'est gardé que s\'il ne couvre que des messages repris', async () => {
+  const manager = await createConversation();
+  await manager.saveSummary(SESSION, { content: 'q1 et r1', coveredCount: 2 });
+  await manager.forkConversation(SESSION, 4, [{ role: 'assistant', content: 'r2 bis' }]);
+  assert.equal((await manager.getConversation(SESSION)).summary.content, 'q1 et r1');
+
+  await manager.forkConversation(SESSION, 2, [{ role: 'assistant', content: 'r1 bis' }]);
+  assert.equal((await manager.getConversation(SESSION)).summary, undefined);
+
+  // La branche d'origine retrouve son résumé
+  await manager.switchBranch(SESSION, 'main');
+  assert.equal((await manager.getConversation(SESSION)).summary.content, 'q1 et r1');
+});
+
+test('les avis restent comptés sur les branches rangées', async () => {
+  const manager = await createConversation();
+  const conversation = await manager.getConversation(SESSION);
+  await manager.rateMessage(SESSION, conversation.messages[4].id, { rating: 'down', category: 'unclear' });
+
+  await manager.forkConversation(SESSION, 4, [{ role: 'assistant', content: 'r2 régénérée' }]);
+  const forked = await manager.getConversation(SESSION);
+  await manager.rateMessage(SESSION, forked.messages[4].id, { rating: 'up' });
+
+  const rated = ratedMessages(await manager.getConversation(SESSION));
+  const byContent = Object.fromEntries(rated.map(m => [m.content, [m.feedback.rating, m.branchId]]));
+  assert.deepEqual(byContent, {
+    r2: ['down', 'main'],
+    'r2 régénérée': ['up', forked.activeBranch],
+  });
+});
+
+test('resetConversation efface les branches', async () => {
+  const manager = await createConversation();
+  await manager.forkConversation(SESSION, 4, [{ role: 'assistant', content: 'r2 bis' }]);
+
+  await manager.resetConversation(SESSION);
+
+  const conversation = await manager.getConversation(SESSION);
+  assert.equal(conversation.messages.length, 1);
+  assert.equal(conversation.branches, undefined);
+  assert.equal(ConversationManager.listBranches(conversation).length, 1);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationManager } from '../src/services/conversationManager.js';
+import { MemoryStore } from '../src/services/storage/memoryStore.js';
+
+const SESSION = 'session_test';
+
+/**
+ * Gestionnaire sur un stockage en mémoire, avec un résumé factice qui note ses appels
+ * @param {number} maxContextTokens - Budget de la fenêtre
+ * @returns {Object} - { manager, calls }
+ */
+async function createManager(maxContextTokens) {
+  const calls = [];
+  const manager = new ConversationManager(new MemoryStore(), {
+    maxContextTokens,
+    summarize: async (previous, messages) => {
+      calls.push({ previous, messages });
+      return { content: `résumé ${calls.length}`, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+    },
+  });
+  await manager.createConversation(SESSION, 'Tu es un assistant de TP.');
+  return { manager, calls };
+}
+
+/**
+ * Ajoute des échanges question / réponse d'environ 100 tokens par message
+ * @param {ConversationManager} manager
+ * @param {number} count - Nombre d'échanges
+ * @param {number} from - Numéro du premier échange
+ */
+async function addExchanges(manager, count, from = 1) {
+  for (let i = from; i < from + count; i++) {
+    await manager.addMessage(SESSION, 'user', `question ${i} `.padEnd(400, '.'));
+    await manager.addMessage(SESSION, 'assistant', `réponse ${i} `.padEnd(400, '.'));
+  }
+}
+
+test('une conversation courte est envoyée entière, sans résumé', async () => {
+  const { manager, calls } = await createManager(6000);
+  await addExchanges(manager, 3);
+
+  const { messages, usage } = await manager.getMessages(SESSION);
+
+  assert.equal(messages.length, 7);
+  assert.equal(messages[0].role, 'system');
+  assert.equal(calls.length, 0);
+  assert.equal(usage, null);
+});
+
+test('les messages sortis de la fenêtre sont remplacés par un résumé', async () => {
+  const { manager, calls } = await createManager(1500);
+  await addExchanges(manager, 10);
+
+  const { messages, usage } = await manager.getMessages(SESSION, [{ role: 'user', content: 'nouvelle question' }]);
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].messages[0].content, /^question 1 /);
+  assert.deepEqual(usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+
+  assert.equal(messages[1].role, 'system');
+  assert.match(messages[1].content, /résumé 1/);
+  assert.equal(messages[messages.length - 1].content, 'nouvelle question');
+
+  // Les messages résumés ne sont pas renvoyés en double
+  const covered = calls[0].messages.length;
+  const conversation = await manager.getConversation(SESSION);
+  assert.equal(messages.length, 2 + (20 - covered) + 1);
+  assert.equal(messages[2].content, conversation.messages[covered + 1].content);
+});
+
+test('le résumé enregistré est réutilisé tant que la fenêtre suffit', async () => {
+  const { manager, calls } = await createManager(1500);
+  await addExchanges(manager, 10);
+
+  await manager.getMessages(SESSION);
+  const { messages, usage } = await manager.getMessages(SESSION);
+
+  assert.equal(calls.length, 1);
+  assert.equal(usage, null);
+  assert.match(messages[1].content, /résumé 1/);
+
+  const conversation = await manager.getConversation(SESSION);
+  assert.equal(conversation.summary.content, 'résumé 1');
+  assert.equal(conversation.summary.coveredCount, calls[0].messages.length);
+});
+
+test('le résumé suivant reprend le précédent et les nouveaux messages sortis', async () => {
+  const { manager, calls } = await createManager(1500);
+  await addExchanges(manager, 10);
+  await manager.getMessages(SESSION);
+
+  await addExchanges(manager, 10, 11);
+  await manager.getMessages(SESSION);
+
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].previous, 'résumé 1');
+  assert.notEqual(calls[1].messages[0].content, calls[0].messages[0].content);
+});
+
+test('un message trop long à lui seul est tronqué', async () => {
+  const { manager } = await createManager(1000);
+
+  const { messages } = await manager.getMessages(SESSION, [{ role: 'user', content: 'x'.repeat(20000) }]);
+
+  const last = messages[messages.length - 1].content;
+  assert.ok(last.length < 20000);
+  assert.match(last, /message tronqué/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POLICY, resolvePolicy, applyPolicy, validateOptions } from '../src/services/modelPolicy.js';
+
+const service = { model: 'gpt-4o-mini', fallbackModels: ['gpt-4o'] };
+
+test('sans politique, seuls le modèle configuré et ses replis sont autorisés', () => {
+  const policy = resolvePolicy(service);
+
+  assert.deepEqual(policy.allowedModels, DEFAULT_POLICY.allowedModels.length > 0
+    ? DEFAULT_POLICY.allowedModels
+    : ['gpt-4o-mini', 'gpt-4o']);
+  assert.equal(policy.maxTokens, DEFAULT_POLICY.maxTokens);
+});
+
+test('un TP ne peut que restreindre la politique de son profil', () => {
+  const profile = { allowedModels: ['gpt-4o-mini'], maxTokens: 800, minTemperature: 0.2, maxTemperature: 0.6 };
+  const tp = { allowedModels: ['gpt-4o', 'gpt-4o-mini', 'o1'], maxTokens: 4000, minTemperature: 0, maxTemperature: 1.5 };
+
+  assert.deepEqual(resolvePolicy(service, profile, tp), {
+    allowedModels: ['gpt-4o-mini'],
+    maxTokens: 800,
+    minTemperature: 0.2,
+    maxTemperature: 0.6,
+  });
+});
+
+test('chaque niveau resserre les bornes du précédent', () => {
+  const policy = resolvePolicy(service, { maxTokens: 800, maxTemperature: 0.5 }, { maxTokens: 300, minTemperature: 0.8 });
+
+  assert.equal(policy.maxTokens, 300);
+  // Une plage disjointe est ramenée sur la borne la plus proche du niveau supérieur
+  assert.equal(policy.minTemperature, 0.5);
+  assert.equal(policy.maxTemperature, 0.5);
+});
+
+test('un modèle retiré par le profil ne peut pas être réautorisé par le TP', () => {
+  const policy = resolvePolicy(service, { allowedModels: ['gpt-4o-mini'] }, { allowedModels: ['gpt-4o'] });
+
+  assert.deepEqual(policy.allowedModels, []);
+  assert.equal(applyPolicy({ model: 'gpt-4o' }, {}, policy).errors.length, 1);
+});
+
+test('applyPolicy ramène les options dans les bornes et signale les options du client', () => {
+  const policy = resolvePolicy(service, { maxTokens: 500, minTemperature: 0, maxTemperature: 0.8 });
+  const { options, clamped, errors } = applyPolicy({ maxTokens: 2000, temperature: 0.5 }, { temperature: 1 }, policy);
+
+  assert.deepEqual(errors, []);
+  assert.equal(options.maxTokens, 500);
+  assert.equal(options.temperature, 0.5);
+  assert.deepEqual(clamped, [{ option: 'maxTokens', requested: 2000, applied: 500 }]);
+
+  // Une valeur par défaut hors bornes est corrigée sans être signalée
+  const defaults = applyPolicy({}, { maxTokens: 100, temperature: 1 }, policy);
+  assert.equal(defaults.options.temperature, 0.8);
+  assert.deepEqual(defaults.clamped, []);
+});
+
+test('validateOptions n\'accepte que model, maxTokens et temperature', () => {
+  assert.deepEqual(validateOptions({ model: 'gpt-4o', maxTokens: 100, temperature: 0.3 }), []);
+  assert.equal(validateOptions({ top_p: 1 }).length, 1);
+  assert.equal(validateOptions([]).length, 1);
+});
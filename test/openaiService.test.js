@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIService } from '../src/services/openaiService.js';
+import logger, { LOG_LEVELS } from '../src/services/logger.js';
+
+logger.level = LOG_LEVELS.silent;
+
+const USAGE = { promptTokens: 1, completionTokens: 1, totalTokens: 2 };
+
+/**
+ * Attend un délai, interrompu par le signal de l'appel
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' }));
+    }, { once: true });
+  });
+}
+
+/**
+ * Service branché sur un fournisseur factice, avec des délais courts
+ * @param {Object} provider - { complete?, stream? }
+ * @returns {OpenAIService}
+ */
+function createService(provider) {
+  const service = new OpenAIService({ name: 'fake', isConfigured: () => true, ...provider });
+  service.model = 'principal';
+  service.fallbackModels = [];
+  service.timeoutMs = 100;
+  service.deadlineMs = 400;
+  service.streamDeadlineMs = 1000;
+  service.maxRetries = 2;
+  service.retryBaseMs = 10;
+  return service;
+}
+
+test('une erreur transitoire est retentée puis le modèle de repli prend le relais', async () => {
+  const calls = [];
+  const service = createService({
+    complete: async ({ model }) => {
+      calls.push(model);
+      if (model === 'principal') {
+        throw Object.assign(new Error('surcharge'), { status: 503 });
+      }
+      return { message: 'ok', role: 'assistant', usage: USAGE, model };
+    },
+  });
+  service.fallbackModels = ['repli'];
+
+  const response = await service.chat([{ role: 'user', content: 'q' }]);
+
+  assert.equal(response.success, true);
+  assert.equal(response.model, 'repli');
+  assert.deepEqual(calls, ['principal', 'principal', 'principal', 'repli']);
+});
+
+test('un appel trop lent échoue en LLM_TIMEOUT sans dépasser l\'échéance globale', async () => {
+  let attempts = 0;
+  const service = createService({
+    complete: async ({ signal }) => {
+      attempts++;
+      await wait(10000, signal);
+    },
+  });
+  service.fallbackModels = ['repli'];
+
+  const started = Date.now();
+  const response = await service.chat([{ role: 'user', content: 'q' }]);
+
+  assert.equal(response.success, false);
+  assert.equal(response.code, 'LLM_TIMEOUT');
+  assert.equal(response.status, 504);
+  assert.ok(Date.now() - started < 400 + 300, `durée ${Date.now() - started} ms`);
+  assert.ok(attempts >= 2 && attempts <= 4);
+});
+
+test('une longue réponse en streaming qui progresse n\'est pas interrompue', async () => {
+  const service = createService({
+    async *stream({ signal }) {
+      // 10 fragments espacés de 60 ms : plus long que timeoutMs et que deadlineMs au total
+      for (let i = 0; i < 10; i++) {
+        await wait(60, signal);
+        yield { delta: `${i} ` };
+      }
+      yield { usage: USAGE, model: 'principal' };
+    },
+  });
+
+  const deltas = [];
+  const response = await service.chatStream([{ role: 'user', content: 'q' }], {}, delta => deltas.push(delta));
+
+  assert.equal(response.success, true);
+  assert.equal(deltas.length, 10);
+  assert.equal(response.message, '0 1 2 3 4 5 6 7 8 9 ');
+});
+
+test('un stream bloqué échoue au délai entre deux fragments, sans nouvelle tentative', async () => {
+  let attempts = 0;
+  const service = createService({
+    async *stream({ signal }) {
+      attempts++;
+      yield { delta: 'début ' };
+      await wait(10000, signal);
+    },
+  });
+
+  const response = await service.chatStream([{ role: 'user', content: 'q' }]);
+
+  assert.equal(response.success, false);
+  assert.equal(response.code, 'LLM_TIMEOUT');
+  assert.equal(response.partial, 'début ');
+  assert.equal(attempts, 1);
+});
+
+test('un stream qui progresse est arrêté à sa durée totale', async () => {
+  const service = createService({
+    async *stream({ signal }) {
+      for (;;) {
+        await wait(50, signal);
+        yield { delta: '.' };
+      }
+    },
+  });
+  service.streamDeadlineMs = 300;
+
+  const started = Date.now();
+  const response = await service.chatStream([{ role: 'user', content: 'q' }]);
+
+  assert.equal(response.code, 'LLM_TIMEOUT');
+  assert.ok(response.partial.length >= 3);
+  assert.ok(Date.now() - started < 300 + 300);
+});
+
+test('l\'annulation par le client n\'est pas retentée', async () => {
+  let attempts = 0;
+  const service = createService({
+    complete: async ({ signal }) => {
+      attempts++;
+      await wait(10000, signal);
+    },
+  });
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const response = await service.chat([{ role: 'user', content: 'q' }], { signal: controller.signal });
+
+  assert.equal(response.success, false);
+  assert.equal(attempts, 1);
+});
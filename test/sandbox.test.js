@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runJavascript } from '../src/services/sandbox/javascriptRunner.js';
+import { gradeResults } from '../src/services/exercises.js';
+
+const LIMITS = { timeoutMs: 200, totalTimeoutMs: 2000, memoryMb: 32 };
+
+const TESTS = [
+  { name: 'vide', args: [[]], expected: 0 },
+  { name: 'trois nombres', args: [[1, 2, 3]], expected: 6 },
+];
+
+test('le code de l\'étudiant est exécuté sur chaque test', async () => {
+  const run = await runJavascript({
+    code: 'function somme(t) { console.log(t.length); return t.reduce((a, b) => a + b, 0); }',
+    entry: 'somme',
+    tests: TESTS,
+  }, LIMITS);
+
+  assert.equal(run.error, undefined);
+  assert.deepEqual(run.results.map(r => r.value), [0, 6]);
+  assert.deepEqual(run.results[1].logs, ['3']);
+
+  const grading = gradeResults(TESTS, run);
+  assert.equal(grading.allPassed, true);
+  assert.equal(grading.passed, 2);
+});
+
+test('une boucle infinie est interrompue au délai du test sans bloquer les suivants', async () => {
+  const run = await runJavascript({
+    code: 'function somme(t) { if (t.length === 0) { while (true) {} } return 6; }',
+    entry: 'somme',
+    tests: TESTS,
+  }, LIMITS);
+
+  assert.match(run.results[0].error, /Délai dépassé \(200 ms\)/);
+  assert.equal(run.results[1].value, 6);
+  assert.equal(gradeResults(TESTS, run).passed, 1);
+});
+
+test('une promesse jamais résolue échoue au délai du test', async () => {
+  const run = await runJavascript({
+    code: 'function somme() { return new Promise(() => {}); }',
+    entry: 'somme',
+    tests: TESTS.slice(0, 1),
+  }, LIMITS);
+
+  assert.match(run.results[0].error, /Délai dépassé/);
+});
+
+test('une boucle infinie après un await est arrêtée au délai total', async () => {
+  const started = Date.now();
+  const run = await runJavascript({
+    code: 'async function somme() { await null; while (true) {} }',
+    entry: 'somme',
+    tests: TESTS,
+  }, { ...LIMITS, totalTimeoutMs: 500 });
+
+  assert.match(run.error, /Délai total dépassé \(500 ms\)/);
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(gradeResults(TESTS, run).results.map(r => r.passed), [false, false]);
+});
+
+test('une erreur de syntaxe interrompt toute l\'exécution', async () => {
+  const run = await runJavascript({ code: 'function somme( {', entry: 'somme', tests: TESTS }, LIMITS);
+
+  assert.match(run.error, /SyntaxError/);
+  assert.equal(run.results.length, 2);
+  assert.equal(gradeResults(TESTS, run).passed, 0);
+});
+
+test('le code n\'a accès ni à process ni à require', async () => {
+  const run = await runJavascript({
+    code: 'function fuite() { return [typeof process, typeof require]; }',
+    entry: 'fuite',
+    tests: [{ name: 'isolation', args: [] }],
+  }, LIMITS);
+
+  assert.deepEqual(run.results[0].value, ['undefined', 'undefined']);
+});
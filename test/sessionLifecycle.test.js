@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLifecycle, SESSION_STATES } from '../src/services/sessionLifecycle.js';
+import { ConversationManager } from '../src/services/conversationManager.js';
+import { MemoryStore } from '../src/services/storage/memoryStore.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const LIMITS = { idleMinutes: 30, archiveAfterDays: 7, retentionDays: 180 };
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+/**
+ * Date ISO située `ms` millisecondes avant NOW
+ * @param {number} ms
+ * @returns {string}
+ */
+const ago = ms => new Date(NOW.getTime() - ms).toISOString();
+
+test('une session récente est active', () => {
+  const lifecycle = getLifecycle({ lastActivity: ago(5 * MINUTE) }, LIMITS, NOW);
+
+  assert.equal(lifecycle.state, SESSION_STATES.ACTIVE);
+  assert.equal(lifecycle.idleSince, null);
+  assert.equal(lifecycle.archiveAt, new Date(NOW.getTime() - 5 * MINUTE + 7 * DAY).toISOString());
+  assert.equal(lifecycle.due, null);
+});
+
+test('une session sans activité depuis le délai d\'inactivité est inactive', () => {
+  const lifecycle = getLifecycle({ lastActivity: ago(2 * 60 * MINUTE) }, LIMITS, NOW);
+
+  assert.equal(lifecycle.state, SESSION_STATES.IDLE);
+  assert.equal(lifecycle.idleSince, ago(90 * MINUTE));
+  assert.equal(lifecycle.due, null);
+});
+
+test('l\'archivage dû est daté de la fin du délai d\'inactivité', () => {
+  const lifecycle = getLifecycle({ lastActivity: ago(10 * DAY) }, LIMITS, NOW);
+
+  assert.equal(lifecycle.state, SESSION_STATES.ARCHIVED);
+  assert.equal(lifecycle.archivedAt, ago(3 * DAY));
+  assert.equal(lifecycle.purgeAt, new Date(NOW.getTime() - 3 * DAY + 180 * DAY).toISOString());
+  assert.equal(lifecycle.due, 'archive');
+});
+
+test('une session archivée garde sa date et n\'est purgée qu\'après la conservation', () => {
+  const archived = { lastActivity: ago(200 * DAY), archivedAt: ago(100 * DAY) };
+  assert.equal(getLifecycle(archived, LIMITS, NOW).due, null);
+
+  const expired = { lastActivity: ago(200 * DAY), archivedAt: ago(181 * DAY) };
+  assert.equal(getLifecycle(expired, LIMITS, NOW).due, 'purge');
+});
+
+test('une durée à 0 désactive l\'étape correspondante', () => {
+  const limits = { idleMinutes: 0, archiveAfterDays: 0, retentionDays: 0 };
+  const lifecycle = getLifecycle({ lastActivity: ago(400 * DAY) }, limits, NOW);
+
+  assert.equal(lifecycle.state, SESSION_STATES.ACTIVE);
+  assert.equal(lifecycle.archiveAt, null);
+  assert.equal(getLifecycle({ lastActivity: ago(400 * DAY), archivedAt: ago(300 * DAY) }, limits, NOW).due, null);
+});
+
+/**
+ * Gestionnaire en mémoire avec trois sessions : active, à archiver et à purger
+ * (dates relatives à l'heure réelle, utilisée par getConversation)
+ * @returns {Promise<ConversationManager>}
+ */
+async function createManager() {
+  const before = ms => new Date(Date.now() - ms).toISOString();
+  const store = new MemoryStore();
+  const manager = new ConversationManager(store, { lifecycle: LIMITS });
+
+  for (const [id, lastActivity, archivedAt] of [
+    ['active', before(0)],
+    ['ancienne', before(30 * DAY)],
+    ['expiree', before(400 * DAY), before(200 * DAY)],
+  ]) {
+    const conversation = await manager.createConversation(id, 'Prompt');
+    await store.set(id, { ...conversation, lastActivity, ...(archivedAt && { archivedAt }) });
+  }
+
+  return manager;
+}
+
+test('sweep archive les sessions inactives et purge les sessions expirées', async () => {
+  const manager = await createManager();
+
+  assert.deepEqual(await manager.sweep(), { checked: 3, archived: 1, purged: 1 });
+  assert.equal(await manager.getConversation('expiree'), null);
+  assert.ok((await manager.getConversation('ancienne')).archivedAt);
+  assert.equal((await manager.getConversation('active')).archivedAt, undefined);
+
+  // Les transitions ne sont enregistrées qu'une fois
+  assert.deepEqual(await manager.sweep(), { checked: 2, archived: 0, purged: 0 });
+});
+
+test('la lecture d\'une session applique la transition due', async () => {
+  const manager = await createManager();
+
+  assert.ok((await manager.getConversation('ancienne')).archivedAt);
+  assert.equal(await manager.getConversation('expiree'), null);
+  assert.deepEqual(await manager.store.keys(), ['active', 'ancienne']);
+});
+
+test('resumeConversation réactive une session archivée', async () => {
+  const manager = await createManager();
+  await manager.getConversation('ancienne');
+
+  const resumed = await manager.resumeConversation('ancienne');
+
+  assert.equal(resumed.archivedAt, undefined);
+  assert.ok(resumed.resumedAt);
+  assert.equal(getLifecycle(await manager.getConversation('ancienne'), LIMITS).state, SESSION_STATES.ACTIVE);
+  assert.equal(await manager.resumeConversation('absente'), null);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import openaiService from '../src/services/openaiService.js';
+import { checkResponse, similarity, redact, guardResponse } from '../src/services/solutionGuard.js';
+
+const REFERENCE = `function somme(tableau) {
+  let total = 0;
+  for (const valeur of tableau) {
+    total += valeur;
+  }
+  return total;
+}`;
+
+/**
+ * Bloc de code Markdown de `lines` lignes
+ * @param {number} lines
+ * @returns {string}
+ */
+function codeBlock(lines) {
+  return `\`\`\`javascript\n${Array.from({ length: lines }, (_, i) => `const x${i} = ${i};`).join('\n')}\n\`\`\``;
+}
+
+/**
+ * Remplace temporairement openaiService.chat (régénération du garde-fou)
+ * @param {Function} chat - Implémentation de remplacement
+ * @param {Function} fn - Test à exécuter
+ */
+async function withChat(chat, fn) {
+  const original = openaiService.chat;
+  openaiService.chat = chat;
+  try {
+    await fn();
+  } finally {
+    openaiService.chat = original;
+  }
+}
+
+test('checkResponse signale un bloc de code plus long que maxCodeLines', () => {
+  const violations = checkResponse(`Voici une piste :\n${codeBlock(6)}`, { maxCodeLines: 5 });
+
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].rule, 'max_code_lines');
+  assert.deepEqual(checkResponse(`Voici une piste :\n${codeBlock(5)}`, { maxCodeLines: 5 }), []);
+});
+
+test('checkResponse signale un extrait proche de la solution de référence', () => {
+  const tp = { maxCodeLines: 50, referenceSolution: REFERENCE };
+  const leaked = `\`\`\`js\n${REFERENCE.replace(/tableau/g, 'tab')}\n\`\`\``;
+
+  assert.equal(similarity(REFERENCE, REFERENCE), 1);
+  assert.equal(checkResponse(leaked, tp)[0]?.rule, 'reference_similarity');
+  assert.deepEqual(checkResponse('```js\nconsole.log("bonjour");\n```', tp), []);
+});
+
+test('redact remplace uniquement les blocs en infraction', () => {
+  const text = `Début\n${codeBlock(6)}\nMilieu\n${codeBlock(2)}\nFin`;
+  const result = redact(text, checkResponse(text, { maxCodeLines: 5 }));
+
+  assert.match(result, /code retiré/);
+  assert.match(result, /const x1 = 1;/);
+  assert.doesNotMatch(result, /const x5 = 5;/);
+});
+
+test('guardResponse laisse passer une réponse conforme sans appeler le modèle', async () => {
+  await withChat(() => assert.fail('le modèle ne doit pas être rappelé'), async () => {
+    const response = { success: true, message: 'As-tu pensé à une boucle ?', usage: null };
+    const result = await guardResponse({ response, messages: [], tp: { maxCodeLines: 5 } });
+
+    assert.equal(result.response, response);
+    assert.equal(result.intervention, null);
+  });
+});
+
+test('guardResponse régénère avec une consigne stricte et additionne l\'usage', async () => {
+  const usage = { promptTokens: 10, completionTokens: 10, totalTokens: 20 };
+  let sent;
+
+  await withChat(async (messages) => {
+    sent = messages;
+    return { success: true, message: 'Essaie d\'écrire la boucle toi-même.', usage };
+  }, async () => {
+    const result = await guardResponse({
+      response: { success: true, message: codeBlock(8), usage },
+      messages: [{ role: 'user', content: 'donne le code' }],
+      tp: { maxCodeLines: 5 },
+    });
+
+    assert.equal(result.intervention.action, 'regenerated');
+    assert.equal(result.response.message, 'Essaie d\'écrire la boucle toi-même.');
+    assert.equal(result.response.usage.totalTokens, 40);
+    assert.equal(sent[sent.length - 1].role, 'system');
+  });
+});
+
+test('guardResponse masque le code quand la régénération est interdite ou échoue', async () => {
+  const response = { success: true, message: `Réponse\n${codeBlock(8)}`, usage: null };
+
+  const withoutRetry = await guardResponse({ response, messages: [], tp: { maxCodeLines: 5 }, allowRegenerate: false });
+  assert.equal(withoutRetry.intervention.action, 'redacted');
+  assert.match(withoutRetry.response.message, /code retiré/);
+
+  await withChat(async () => ({ success: false, error: 'indisponible' }), async () => {
+    const failed = await guardResponse({ response, messages: [], tp: { maxCodeLines: 5 } });
+    assert.equal(failed.intervention.action, 'redacted');
+    assert.match(failed.response.message, /code retiré/);
+  });
+});
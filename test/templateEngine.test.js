@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemplate, inspectTemplate, renderTemplate } from '../src/prompts/templateEngine.js';
+
+test('renderTemplate remplace les variables et vide les valeurs absentes', () => {
+  const result = renderTemplate('TP : {{ tpSubject }} ({{studentLevel}}){{absent}}', {
+    tpSubject: 'Tableaux',
+    studentLevel: 'débutant',
+  });
+
+  assert.equal(result, 'TP : Tableaux (débutant)');
+});
+
+test('renderTemplate choisit la branche d\'une section conditionnelle', () => {
+  const template = '{{#if constraints}}Contraintes : {{constraints}}{{else}}Aucune contrainte{{/if}}';
+
+  assert.equal(renderTemplate(template, { constraints: 'pas de boucle while' }), 'Contraintes : pas de boucle while');
+  assert.equal(renderTemplate(template, { constraints: '' }), 'Aucune contrainte');
+  assert.equal(renderTemplate('{{#if exercises}}oui{{else}}non{{/if}}', { exercises: [] }), 'non');
+});
+
+test('renderTemplate répète une section sur une liste', () => {
+  const result = renderTemplate('Exercices :\n{{#each exercises}}- {{this}}\n{{/each}}', {
+    exercises: ['somme', 'moyenne'],
+  });
+
+  assert.equal(result, 'Exercices :\n- somme\n- moyenne');
+});
+
+test('renderTemplate inclut les fragments avec le même contexte', () => {
+  const fragments = { regles: 'Ne donne jamais la solution de {{tpSubject}}.', intro: 'Bonjour. {{> regles}}' };
+
+  assert.equal(renderTemplate('{{> intro}}', { tpSubject: 'Récursivité' }, fragments), 'Bonjour. Ne donne jamais la solution de Récursivité.');
+  assert.throws(() => renderTemplate('{{> inconnu}}', {}, fragments), /Fragment introuvable/);
+});
+
+test('renderTemplate resserre les lignes vides laissées par les sections', () => {
+  const result = renderTemplate('A\n\n{{#if vide}}B{{/if}}\n\n\nC', {});
+
+  assert.equal(result, 'A\n\nC');
+});
+
+test('parseTemplate signale les balises mal formées ou non fermées', () => {
+  assert.deepEqual(parseTemplate('{{#if a}}x{{/if}}').errors, []);
+  assert.match(parseTemplate('{{#if a}}x').errors[0], /non fermée/);
+  assert.match(parseTemplate('{{/each}}').errors[0], /sans \{\{#each\}\} correspondant/);
+  assert.match(parseTemplate('{{else}}').errors[0], /hors d'une section/);
+  assert.match(parseTemplate('{{ a b }}').errors[0], /balise invalide/);
+});
+
+test('inspectTemplate liste les variables et les fragments inclus, et signale les fragments inconnus', () => {
+  const fragments = { regles: '{{tpObjectives}}', boucle: '{{> boucle}}' };
+  const { variables, includes, errors } = inspectTemplate(
+    '{{tpSubject}} {{#each exercises}}{{this}}{{/each}} {{> regles}} {{> absent}}',
+    fragments
+  );
+
+  assert.deepEqual([...variables].sort(), ['exercises', 'tpObjectives', 'tpSubject']);
+  assert.deepEqual([...includes], ['regles']);
+  assert.deepEqual(errors, ['fragment inconnu : {{> absent}}']);
+
+  // Une inclusion récursive n'est parcourue qu'une fois
+  assert.deepEqual(inspectTemplate('{{> boucle}}', fragments).errors, []);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UsageTracker } from '../src/services/usageTracker.js';
+import { MemoryStore } from '../src/services/storage/memoryStore.js';
+
+const alice = { id: 'alice', classIds: ['L1-A'] };
+
+/**
+ * Compteur neuf avec des limites connues (indépendantes de l'environnement)
+ * @param {Object} overrides - { requestsPerMinute, student, class }
+ * @returns {UsageTracker}
+ */
+function createTracker({ requestsPerMinute = 0, student = {}, class: classLimits = {} } = {}) {
+  const tracker = new UsageTracker(new MemoryStore());
+  tracker.requestsPerMinute = requestsPerMinute;
+  tracker.limits = {
+    student: { day: 0, week: 0, ...student },
+    class: { day: 0, week: 0, ...classLimits },
+  };
+  return tracker;
+}
+
+test('record cumule les tokens sur la session, l\'étudiant et la classe', async () => {
+  const tracker = createTracker();
+  const target = { sessionId: 's1', userId: 'alice', classId: 'L1-A' };
+
+  await tracker.record(target, { totalTokens: 120 });
+  await tracker.record(target, { totalTokens: 80 });
+  await tracker.record(target, null);
+
+  const session = await tracker.getSessionUsage('s1');
+  assert.equal(session.totalTokens, 200);
+  assert.equal(session.requests, 3);
+  assert.equal(session.today, 200);
+
+  const student = await tracker.getStudentUsage('alice');
+  assert.equal(student.thisWeek, 200);
+
+  const usage = await tracker.getClassUsage('L1-A');
+  assert.equal(usage.totalTokens, 200);
+  assert.deepEqual(usage.students.map(s => s.userId), ['alice']);
+});
+
+test('checkQuota refuse au-delà du nombre de requêtes par minute', async () => {
+  const tracker = createTracker({ requestsPerMinute: 2 });
+
+  assert.equal((await tracker.checkQuota(alice)).allowed, true);
+  assert.equal((await tracker.checkQuota(alice)).allowed, true);
+
+  const refused = await tracker.checkQuota(alice);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.quota.period, 'minute');
+  assert.equal(refused.quota.used, 2);
+  assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 60);
+});
+
+test('checkQuota ne laisse pas passer de requêtes parallèles au-delà de la limite', async () => {
+  const tracker = createTracker({ requestsPerMinute: 3 });
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => tracker.checkQuota(alice)));
+
+  assert.equal(results.filter(r => r.allowed).length, 3);
+  const record = await tracker.getRecord('student', 'alice');
+  assert.equal(record.recentRequests.length, 3);
+});
+
+test('checkQuota refuse quand le budget journalier de l\'étudiant est atteint', async () => {
+  const tracker = createTracker({ student: { day: 100 } });
+  await tracker.record({ sessionId: 's1', userId: 'alice', classId: 'L1-A' }, { totalTokens: 100 });
+
+  const result = await tracker.checkQuota(alice);
+  assert.equal(result.allowed, false);
+  assert.equal(result.quota.scope, 'student');
+  assert.equal(result.quota.period, 'day');
+  assert.equal(result.quota.remaining, 0);
+});
+
+test('checkQuota refuse quand le budget hebdomadaire de la classe est atteint', async () => {
+  const tracker = createTracker({ class: { week: 500 } });
+  await tracker.record({ sessionId: 's2', userId: 'bob', classId: 'L1-A' }, { totalTokens: 600 });
+
+  const result = await tracker.checkQuota(alice);
+  assert.equal(result.allowed, false);
+  assert.equal(result.quota.scope, 'class');
+  assert.equal(result.quota.id, 'L1-A');
+  assert.equal(result.quota.period, 'week');
+});
+
+test('getRemaining déduit la consommation des limites', async () => {
+  const tracker = createTracker({ student: { day: 1000 }, class: { week: 5000 } });
+  await tracker.record({ sessionId: 's1', userId: 'alice', classId: 'L1-A' }, { totalTokens: 250 });
+
+  const remaining = await tracker.getRemaining(alice);
+  assert.deepEqual(remaining.student, { day: 750, week: null });
+  assert.deepEqual(remaining.classes['L1-A'], { day: null, week: 4750 });
+});